@@ -0,0 +1,111 @@
+/* ----------------------------------------
+ * Web Worker of the playground (index.html)
+ * This cooks a recipe off the page's thread, so that the page can stop it by terminating the worker.
+ * The page posts {text} and {dialect} (see parse()) of the recipe, and the worker posts the following messages back.
+ *   {type: 'kitchen', line, recipe, ingredients, mixingBowls, bakingDishes}
+ *                                  The kitchen of the chef cooking now. (at most every 50 ms)
+ *   {type: 'dish', text, items}    A dish is served. (The items are {value, type} from the top of the dish.)
+ *   {type: 'finished', line, recipe, ingredients, mixingBowls, bakingDishes}
+ *                                  The recipe is finished, with the head chef's kitchen.
+ *   {type: 'error', message, line, column, endLine, endColumn}
+ *                                  The recipe failed. (The position is null if unknown.)
+ * ----------------------------------------
+ */
+"use strict";
+
+importScripts('chef.js');
+
+var kitchenInterval = 50; // milliseconds between kitchen messages
+
+// Return the chef cooking now, i.e. the innermost sous-chef working for "Serve with".
+function activeChef(headChef)
+{
+	var chef = headChef;
+	var sousChef = chef.getSousChef();
+	while (sousChef !== null && sousChef.getNextStatement() !== null)
+	{
+		chef = sousChef;
+		sousChef = chef.getSousChef();
+	}
+	return chef;
+}
+
+function postKitchen(type, chef, line)
+{
+	var kitchen = chef.getKitchen();
+	postMessage({
+		type: type,
+		line: line,
+		recipe: kitchen.recipe,
+		ingredients: kitchen.ingredients,
+		mixingBowls: kitchen.mixingBowls,
+		bakingDishes: kitchen.bakingDishes
+	});
+}
+
+function cook(text, dialect)
+{
+	var dishes;
+	var lastLine = null;
+	var lastPosted = 0;
+
+	// Post the kitchen now and then while cooking.
+	var trace = function (event)
+	{
+		lastLine = event.line;
+		var now = Date.now();
+		if (event.type === 'statement' && now - lastPosted >= kitchenInterval)
+		{
+			lastPosted = now;
+			postKitchen('kitchen', activeChef(dishes.getChef()), event.line);
+		}
+	};
+
+	var fail = function (e)
+	{
+		postMessage({
+			type: 'error',
+			message: e.message,
+			line: e.line === undefined ? null : e.line,
+			column: e.column === undefined ? null : e.column,
+			endLine: e.endLine === undefined ? null : e.endLine,
+			endColumn: e.endColumn === undefined ? null : e.endColumn
+		});
+	};
+
+	// Serve the dishes one by one.
+	var serve = function ()
+	{
+		dishes.next().then(function (result)
+		{
+			if (result.done)
+			{
+				postKitchen('finished', dishes.getChef(), lastLine);
+				return;
+			}
+			postKitchen('kitchen', activeChef(dishes.getChef()), lastLine);
+			postMessage({type: 'dish', text: result.value.text, items: result.value.items});
+			serve();
+		}, function (e)
+		{
+			postKitchen('kitchen', activeChef(dishes.getChef()), lastLine);
+			fail(e);
+		});
+	};
+
+	try
+	{
+		dishes = Chef.stream(text, {trace: trace, structured: true, dialect: dialect});
+	}
+	catch (e)
+	{
+		fail(e);
+		return;
+	}
+	serve();
+}
+
+self.onmessage = function (event)
+{
+	cook(event.data.text, event.data.dialect);
+};
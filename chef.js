@@ -1,195 +1,455 @@
+/* ----------------------------------------
+ * Chef.js - Chef language interpreter
+ * Loaded as a CommonJS module, this file exports the public API. (See chef.mjs for the ES module entry point.)
+ * Loaded with a <script> tag, the same API is available as the global "Chef" object.
+ * [public API]
+ * - run(text, options): Cook a recipe and return the served dishes.
+ * - parse(text, options): Parse a recipe into a recipe object without running it.
+ * - compile(text, options): Compile a recipe into a JavaScript function for fast repeated cooking.
+ * - init(recipe, options): Create a chef (an interpreter with its own kitchen) for a parsed recipe.
+ * - debug(text, options): Create a step debugger for a recipe.
+ * - stream(text, options): Cook a recipe asynchronously, yielding each dish as it is served.
+ * - lint(text, options): Check a recipe without running it.
+ * - highlight(text, options): Split a recipe into tokens for syntax highlighting.
+ * - format(text, options): Format a recipe in the canonical form.
+ * - generate(text, options): Generate a recipe that serves a text.
+ * - describeTraceEvent(event): Describe a trace event as a line of text.
+ * Everything else in this file is private to the module.
+ * ----------------------------------------
+ */
+(function (root, factory)
+{
+	if (typeof module === 'object' && module.exports)
+	{
+		module.exports = factory();
+	}
+	else
+	{
+		root.Chef = factory();
+	}
+}(this, function ()
+{
 "use strict";
 
 /* ----------------------------------------
  * Create and initialize a Chef object
- * This function takes an array containing Chef statements and returns an object that provides methods to execute the statements.
+ * This function takes a parsed recipe (see parse()) and returns an object that provides methods to execute its method statements.
  * Clients just call the returned object's run() method to execute the statements, and then call getDiners() to get the results.
  * [params]
- * - lines: An array containing recipe lines. Each item holds a single Chef statement.
- * - offset: A number to specify the offset in the array. The execution will start from the offset line.
+ * - recipe: A recipe object returned by parse(). (or one of its auxiliary recipes)
+ * - options: (optional) An object with the following properties.
+ *     input: Where "Take" reads numbers from. An array of numbers, a function returning the next number,
+ *            or omitted to read from STDIN when running under Node.
+ *     seed: A number to seed the random source used by "Mix". The same seed always gives the same order.
+ *     random: A function returning a number in [0, 1) to use as the random source instead of the seed.
+ *     auxiliaryRecipes: An array of recipes that "Serve with" can invoke. Defaults to recipe.auxiliaryRecipes.
+ *     bigint: true to hold the values of ingredients as BigInts, so that arithmetic never overflows.
+ *             "Take" reads integers of any size, "Divide" rounds towards zero, and values must be Unicode code points
+ *             to be liquefied. (The values in trace events and kitchens are BigInts as well.)
+ *             Otherwise, initial values beyond Number.MAX_SAFE_INTEGER are an error when the chef is created.
+ *     trace: A function that receives an event object for every step of the cooking. Nothing is traced if omitted.
+ *            Each event has {type}, the {recipe} title, and the {line} and {column} of the statement being executed.
+ *            The types and their other properties are:
+ *              'statement' {statement, text}                 A statement is about to be executed.
+ *              'take' {ingredient, value}                    A value is taken from the refrigerator.
+ *              'bowl-push' {bowl, item, ingredient}          An item is put on top of a mixing bowl.
+ *              'bowl-pop' {bowl, item, ingredient}           The top item is removed from a mixing bowl.
+ *              'bowl-update' {bowl, operation, contents}     A mixing bowl is changed by Add, Remove, Combine, Divide,
+ *                                                            Liquefy, Stir, Mix or Clean.
+ *              'pour' {bowl, dish, contents}                 A mixing bowl is poured into a baking dish.
+ *              'loop-enter' / 'loop-continue' / 'loop-exit' {verb, ingredient, value}
+ *                                                            A loop is entered, repeated, or exited. ({value} of the ingredient checked)
+ *              'sous-chef-invoke' {auxiliaryRecipe}          "Serve with" invokes a sous-chef.
+ *              'sous-chef-return' {auxiliaryRecipe, contents} The sous-chef returns its first mixing bowl.
+ *              'dish-served' {dish, text, items}             A baking dish is served. (see serveDish())
+ *            Items and contents are {value, type} objects. Bowls and dishes are zero-based indexes.
+ *     limits: An object to limit the resources the recipe can use, with the following properties. (all optional)
+ *              statements     The number of statements executed. (unlimited by default)
+ *              time           The milliseconds elapsed since the first statement was executed. (unlimited by default)
+ *              bowlSize       The number of ingredients in a mixing bowl or a baking dish. (unlimited by default)
+ *              sousChefDepth  The number of sous-chefs cooking at once for nested "Serve with" statements,
+ *                             i.e. the depth of recursion of auxiliary recipes. (1000 by default)
+ *            Sous-chefs share the limits of the chef who invokes them.
+ *            When a limit is exceeded, an error with {code} 'limit-exceeded', the name of the limit in {limit},
+ *            and the {recipe}, {line} and {column} of the statement is thrown.
+ *     snapshot: A snapshot taken by snapshot() of a chef cooking the same recipe, to resume the cooking from.
+ *               The kitchen, the sous-chefs and the {bigint} mode are restored from it. So are the pending input
+ *               and the state of the random source, unless {input}, or {seed} or {random}, are given.
+ *               A {bigint} option that differs from the mode of the snapshot is an error. The limits start afresh.
  * [return]
  * An object that contains closures.
  * ----------------------------------------
  */
-function init(lines, offset)
+function init(recipe, options)
 {
+	options = options || {};
+
 	// Properties for cooking
-	var recipeTitle = '';
-	var ingredients = [];
+	var recipeTitle = recipe.title;
+	var ingredients = Object.create(null);
 	var mixingBowls = [];
 	var bakingDishes = [];
 	var diners = [];
+	var servedDishes = []; // The served dishes as {items, text} (see serveDish())
 
 	// Properties for internal state management
-	var currentState = 'Discovering Recipe Title';
-	var currentLine; // i.e. Program Counter
+	var method = recipe.method;
+	var currentStatement = 0; // i.e. Program Counter
 	var exitMainLoop = false;
+	var finished = false;
 	var loopStack = [];
+	var sousChef = null; // The sous-chef cooking an auxiliary recipe for "Serve with", if any
+	var serveStatement = null; // The "Serve with" statement the sous-chef is cooking for
+	var snapshot = options.snapshot || null;
+	if (snapshot !== null && snapshot.version !== snapshotVersion)
+	{
+		throw new Error('Invalid snapshot => The version ' + snapshot.version + ' is not supported.');
+	}
+	if (snapshot !== null && options.bigint !== undefined && (options.bigint === true) !== (snapshot.bigint === true))
+	{
+		throw new Error('Invalid snapshot => The snapshot was taken ' + (snapshot.bigint === true
+			? 'in the BigInt mode, and the cooking can\'t be resumed without it.' : 'without the BigInt mode, and the cooking can\'t be resumed in it.'));
+	}
+	var bigint = snapshot !== null ? snapshot.bigint === true : options.bigint === true;
+	var zero = bigint ? BigInt(0) : 0;
+	var pendingInput = snapshot !== null && snapshot.input !== null && options.input === undefined;
+	var readInput = createInputReader(pendingInput ? snapshot.input : options.input, bigint);
+	var savedRandom = snapshot !== null && options.seed === undefined ? snapshot.random : undefined;
+	var random = options.random || createRandom(options.seed !== undefined ? options.seed : savedRandom);
+	var auxiliaryRecipes = options.auxiliaryRecipes || recipe.auxiliaryRecipes || [];
+	var trace = options.trace || null;
+	var limits = options.sharedLimits || createLimits(options.limits); // Sous-chefs share the limits of their chef.
+	var caller = options.caller || null; // The chef who hired this sous-chef, or null for the head chef
+	var innermost = options.innermost || {chef: null}; // The innermost chef cooking, shared with the sous-chefs (see step())
+	var currentPosition = {line: recipe.line, column: recipe.column};
 
-	// Return an object containing closures
-	return {
+	// Report an event to the trace listener.
+	var emit = function (type, properties)
+	{
+		if (trace === null)
+		{
+			return;
+		}
+		var event = {type: type, recipe: recipeTitle, line: currentPosition.line, column: currentPosition.column};
+		for (var key in properties)
+		{
+			event[key] = properties[key];
+		}
+		trace(event);
+	};
+
+	// Each chef gets its own set of ingredients.
+	recipe.ingredients.forEach(function (ingredient)
+	{
+		var value = ingredient.value !== undefined ? initialValue(ingredient, bigint) : undefined;
+		ingredients[ingredient.name] = {value: value, type: ingredient.type};
+	});
+
+	// Create an object containing closures
+	var chef = {
 
 		/* ----------------------------------------
 		 * Execute Chef statements
 		 * This starts the main loop in which each statement is fetched and executed until the end of the recipe.
  		 * If the execution succeeded, its results will be available by calling getDiners() on the same object.
-		 * Otherwise an exception will be reported with the information about which line of the statements the error occurred.
+		 * Otherwise an exception will be reported with the information about which line of the recipe the error occurred.
+		 * An error of a sous-chef keeps the position of the statement that failed, and its {callStack} holds
+		 * the "Serve with" statements that led to it as {recipe, line, column}, from the head chef's to the innermost one.
 		 * ----------------------------------------
 		 */
 		run : function ()
 		{
 			// Main loop
-			for (currentLine = offset; 
-				currentLine < lines.length && !exitMainLoop; currentLine++)
+			while (this.step())
+			{
+			}
+		},
+
+		/* ----------------------------------------
+		 * Execute a single Chef statement
+		 * This executes the next statement of the recipe, or of the sous-chef's recipe while a "Serve with" is in progress.
+		 * When the method is over, the dishes are served (see the Serves statement) and false is returned.
+		 * [return]
+		 * true if a statement was executed, false if the recipe is finished.
+		 * ----------------------------------------
+		 */
+		step : function ()
+		{
+			// Let the innermost sous-chef cook, and the chefs who wait for it receive from it once it finishes.
+			// (Only the innermost chef is called, so that a statement costs the same at any depth of "Serve with".)
+			if (sousChef !== null)
 			{
-				// Control inner loops.
-				if (loopStack.length > 0)
+				var cook = innermost.chef;
+				try
 				{
-					var loop = loopStack[loopStack.length - 1];
-					if (loop.forceExit)
+					cook.step();
+					while (cook !== chef && cook.getNextStatement() === null)
 					{
-							// Exit loop.
-							currentLine = loop.end + 1;
-							loopStack.pop();
-							console.log('\t+++++ Loop exit!.');
+						cook = cook.getCaller();
+						cook.receiveFromSousChef();
 					}
-					else if (currentLine === loop.end)
+				}
+				catch (e)
+				{
+					// Each chef from the one that failed up to this one adds the position of its "Serve with".
+					for (; cook !== chef; cook = cook.getCaller())
 					{
-						if (loop.ingredientToCheck.value <= 0)
-						{
-							// Exit loop.
-							currentLine = loop.end + 1;
-							loopStack.pop();
-							console.log('\t+++++ Loop exit!.');
-						}
-						else
-						{
-							if (loop.ingredientToDecrement)
-							{
-								loop.ingredientToDecrement.value--;
-							}
-							console.log('\t+++++ Loop continue... (' 
-								+ loop.ingredientToCheck.value + ' remained)');
-							currentLine = loop.start + 1;
-						}
+						e = cook.getCaller().sousChefError(e);
 					}
+					throw e;
+				}
+				return true;
+			}
+
+			if (finished)
+			{
+				return false;
+			}
+			if (exitMainLoop || currentStatement >= method.length)
+			{
+				this.finish();
+				return false;
+			}
+
+			var stmt = method[currentStatement];
+			limits.countStatement(recipeTitle, stmt);
+			try
+			{
+				this.doInstruction(stmt);
+			}
+			catch (e)
+			{
+				// (An error of a sous-chef that failed to start has its position already. See sousChefError().)
+				if (e.code === 'limit-exceeded' || e.callStack !== undefined)
+				{
+					throw e;
 				}
+				throw positionedError('Error occurred at line ' + stmt.line + ' in your recipe. : ' + e.message, stmt);
+			}
+			currentStatement++;
+			return true;
+		},
 
-				// Invoke the state function.
+		// Finish the recipe.
+		finish : function ()
+		{
+			finished = true;
+
+			// The final statement in a Chef recipe is a statement of how many people it serves.
+			if (!exitMainLoop && recipe.serves !== null)
+			{
+				// Store the contents of the first {numberOfDiners} baking dishes into {diners} property.
+				// {diners} property will then be available via getDiners().
+				currentPosition = {line: recipe.servesLine, column: recipe.servesColumn};
 				try
 				{
-					this[currentState](lines[currentLine]);
+					this.prepareDishes(recipe.serves);
 				}
 				catch (e)
 				{
-					throw new Error('Error occurred at line ' + (currentLine + 1) + ' in your recipe. : ' + e.message);
+					throw positionedError('Error occurred at line ' + recipe.servesLine + ' in your recipe. : ' + e.message,
+						{line: recipe.servesLine, column: recipe.servesColumn});
 				}
 			}
 		},
 
-		// State function
-		'Discovering Recipe Title' : function (line)
+		// Getter (whether the recipe is finished)
+		isFinished : function ()
+		{
+			return finished;
+		},
+
+		// Getter (the sous-chef cooking for "Serve with", or null)
+		getSousChef : function ()
 		{
-			if (recipeTitle === '' && line)
+			return sousChef;
+		},
+
+		// Getter (the chef who hired this sous-chef, or null for the head chef)
+		getCaller : function ()
+		{
+			return caller;
+		},
+
+		// Getter (the statement to be executed next, or null if the method is over)
+		// A sous-chef is only kept while it has a statement left, so the innermost one has the next statement.
+		getNextStatement : function ()
+		{
+			if (sousChef !== null)
 			{
-				// Store the recipe title.
-				recipeTitle = line;
-				console.log('Title: ' + line);
+				return innermost.chef.getNextStatement();
 			}
-			else
+			if (finished || exitMainLoop || currentStatement >= method.length)
 			{
-				if (line === 'Ingredients')
-				{
-					// Move on to the next state.
-					currentState = 'Reading Ingredients';
-					console.log('Ingredients: ');
-				}
+				return null;
 			}
+			return method[currentStatement];
 		},
 
-		// State function
-		'Reading Ingredients' : function (line)
+		/* ----------------------------------------
+		 * Inspect the kitchen
+		 * This returns copies of the ingredients, mixing bowls, baking dishes and loops of this chef.
+		 * (The sous-chef's kitchen is available via getSousChef().)
+		 * [return]
+		 * An object with {recipe}, {ingredients} (keyed by name), {mixingBowls}, {bakingDishes}, {loopStack}, {nextStatement}
+		 * and {serveStatement}. (the "Serve with" statement the sous-chef is cooking for, or null)
+		 * The loop stack holds {verb, ingredient, line} of each loop being executed, the innermost last.
+		 * ----------------------------------------
+		 */
+		getKitchen : function ()
 		{
-			if (line === '')
+			var copiedIngredients = {};
+			for (var name in ingredients)
 			{
-				// Move on to the next state.
-				currentState = 'Reading Ingredients Completed';
-			}
-			else
-			{
-				// Decode and store the ingredients.
-				var obj = decodeIngredient(line);
-				ingredients[obj.key] = obj;
-				console.log(obj.key + ': ' + obj.value + '(type=' + obj.type + ')');
+				copiedIngredients[name] = copyItem(ingredients[name]);
 			}
+			var next = finished || exitMainLoop || currentStatement >= method.length ? null : method[currentStatement];
+			return {
+				recipe: recipeTitle,
+				ingredients: copiedIngredients,
+				mixingBowls: copyContainers(mixingBowls),
+				bakingDishes: copyContainers(bakingDishes),
+				loopStack: loopStack.map(function (loop)
+				{
+					var start = method[loop.start];
+					return {verb: start.verb, ingredient: start.ingredient, line: start.line};
+				}),
+				nextStatement: next,
+				serveStatement: serveStatement
+			};
 		},
 
-		// State function
-		'Reading Ingredients Completed' : function (line)
+		/* ----------------------------------------
+		 * Take a snapshot of the cooking
+		 * This saves everything needed to resume the cooking later, possibly in another process, as a JSON-compatible object.
+		 * Pass it to init() (or run(), debug() and stream()) as the {snapshot} option to resume.
+		 * The input that is still pending is saved only if the input is an array,
+		 * and the state of the random source only if it's seeded. (BigInts are saved as strings of digits.)
+		 * [return]
+		 * An object with the following properties.
+		 *   version: The version of the snapshot format.
+		 *   bigint: Whether the values are BigInts.
+		 *   input: The numbers left in the input array, or null.
+		 *   random: The state of the seeded random source, or null.
+		 *   kitchen: The kitchen of this chef, with {recipe}, {ingredients}, {mixingBowls}, {bakingDishes},
+		 *            {diners}, {servedDishes}, the index of the next statement and its {line}, the {loopStack},
+		 *            and the kitchen of the {sousChef} cooking for "Serve with", if any.
+		 * ----------------------------------------
+		 */
+		snapshot : function ()
+		{
+			var pending = readInput.getPending();
+			return {
+				version: snapshotVersion,
+				bigint: bigint,
+				input: pending !== null ? pending.map(encodeValue) : null,
+				random: random.getState ? random.getState() : null,
+				kitchen: this.saveKitchen()
+			};
+		},
+
+		// Save the kitchen of this chef and its sous-chef for snapshot().
+		saveKitchen : function ()
 		{
-			if (line === 'Method')
+			var savedIngredients = {};
+			for (var name in ingredients)
 			{
-				// Move on to the next state.
-				currentState = 'Reading Instructions';
-				console.log('Method: ');
+				savedIngredients[name] = encodeItem(ingredients[name]);
 			}
+			var next = finished || exitMainLoop || currentStatement >= method.length ? null : method[currentStatement];
+			return {
+				recipe: recipeTitle,
+				statements: method.length,
+				ingredients: savedIngredients,
+				mixingBowls: encodeContainers(mixingBowls),
+				bakingDishes: encodeContainers(bakingDishes),
+				diners: diners.slice(),
+				servedDishes: servedDishes.map(function (dish)
+				{
+					return {items: dish.items.map(encodeItem), text: dish.text};
+				}),
+				statement: currentStatement,
+				line: next !== null ? next.line : null,
+				loopStack: loopStack.map(function (loop)
+				{
+					return {start: loop.start, end: loop.end};
+				}),
+				exitMainLoop: exitMainLoop,
+				finished: finished,
+				serveStatement: serveStatement !== null ? method.indexOf(serveStatement) : null,
+				sousChef: sousChef !== null ? sousChef.saveKitchen() : null
+			};
 		},
 
-		// State function
-		'Reading Instructions' : function (line)
+		// Restore the kitchen of this chef and its sous-chef from saveKitchen().
+		restoreKitchen : function (saved)
 		{
-			if (line === '')
+			if (!saved || saved.recipe !== recipeTitle || saved.statements !== method.length)
 			{
-				// Move on to the next state.
-				currentState = 'Serving Dishes';
+				throw new Error('Invalid snapshot => It was not taken of the recipe "' + recipeTitle + '".');
 			}
-			else
+			// Look up a statement that the snapshot refers to by its index.
+			var statementAt = function (index, type)
 			{
-				// Execute the instruction.
-				this.doInstruction(line);
-			}
-		},
+				if (typeof index !== 'number' || !(index >= 0 && index <= method.length)
+					|| (type !== undefined && (index === method.length || method[index].type !== type)))
+				{
+					throw new Error('Invalid snapshot => It does not match the statements of the recipe "' + recipeTitle + '".');
+				}
+				return method[index];
+			};
 
-		// State function
-		'Serving Dishes' : function (line)
-		{
-			// The final statement in a Chef recipe is a statement of how many people it serves.
-			if (line.slice(0, 'Serves '.length) === 'Serves ')
+			ingredients = Object.create(null);
+			for (var name in saved.ingredients)
 			{
-				// Store the contents of the first {numberOfDiners} baking dishes into {diners} property.
-				// {diners} property will then be available via getDiners(). 
-				console.log(line);
-				var numberOfDiners = line.slice('Serves '.length);
-				this.prepareDishes(parseInt(numberOfDiners));
-				console.log('\t+++++ Done. The number of diners : ' + numberOfDiners);
+				ingredients[name] = decodeItem(saved.ingredients[name], bigint);
+			}
+			mixingBowls = decodeContainers(saved.mixingBowls, bigint);
+			bakingDishes = decodeContainers(saved.bakingDishes, bigint);
+			diners = saved.diners.slice();
+			servedDishes = saved.servedDishes.map(function (dish)
+			{
+				return {items: dish.items.map(function (item) { return decodeItem(item, bigint); }), text: dish.text};
+			});
+			statementAt(saved.statement);
+			currentStatement = saved.statement;
+			loopStack = saved.loopStack.map(function (loop)
+			{
+				statementAt(loop.start, 'Verb');
+				return {start: loop.start, end: loop.end};
+			});
+			exitMainLoop = saved.exitMainLoop === true;
+			finished = saved.finished === true;
+			if (saved.sousChef !== null)
+			{
+				serveStatement = statementAt(saved.serveStatement, 'Serve');
+				limits.enterSousChef(recipeTitle, serveStatement);
+				sousChef = this.hireSousChef(this.lookUpAuxiliaryRecipe(serveStatement.recipe));
+				innermost.chef = sousChef;
+				sousChef.restoreKitchen(saved.sousChef);
 			}
 		},
 
 		// Move the specified number of dishes into output buffer (diners)
 		prepareDishes : function (numberOfDiners)
 		{
-			if (bakingDishes.length < numberOfDiners)
+			serveDishes(bakingDishes, numberOfDiners, function (served, i)
 			{
-				throw new Error('There\'s not enough dishes.');
-			}
-			for (var i = 0; i < numberOfDiners; i++)
+				chef.addServedDish(served);
+				emit('dish-served', {dish: i, text: served.text, items: copyItems(served.items)});
+			});
+		},
+
+		// Add a served dish to the output buffer. The dishes of the sous-chefs go to the head chef's, in the order they are served.
+		addServedDish : function (served)
+		{
+			if (caller !== null)
 			{
-				var dish = bakingDishes[i];
-				var str = '';
-				var item;
-				while (item = dish.pop())
-				{
-					if (item.type === 'dry')
-					{
-						str += item.value;
-					}
-					else 
-					{
-						str += String.fromCharCode(item.value);
-					}
-				}
-				diners.push(str);
+				caller.addServedDish(served);
+				return;
 			}
+			diners.push(served.text);
+			servedDishes.push(served);
 		},
 
 		// Getter (finished dishes)
@@ -198,72 +458,95 @@ function init(lines, offset)
 			return diners;
 		},
 
+		// Getter (finished dishes as {items, text}. See serveDish())
+		getServedDishes : function ()
+		{
+			return servedDishes;
+		},
+
 		// Getter (the first mixing bowl)
 		getFirstMixingBowl : function ()
 		{
 			return mixingBowls[0];
 		},
 
-		// Copy the contents of mixing bowls and baking dishes
+		// Copy the contents of the mixing bowls and baking dishes of the calling chef. (for "Serve with")
+		// The sous-chef works on its own copies, so it never changes the calling chef's kitchen.
 		copyIntermediateValues : function (bowls, dishes)
 		{
-			var i, j;
-			for (i = 0; i < bowls.length; i++)
+			mixingBowls = copyContainers(bowls);
+			bakingDishes = copyContainers(dishes);
+		},
+
+		// Invoke the Chef method for a parsed statement.
+		doInstruction : function (stmt)
+		{
+			try
 			{
-				if (mixingBowls[i] == undefined)
-					mixingBowls[i] = [];
-				for (j = 0; j < bowls[i].length; j++)
-				{
-					var obj = {value: bowls[i][j].value, type: bowls[i][j].type};
-					mixingBowls[i].push(obj);
-				}
+				currentPosition = stmt;
+				emit('statement', {statement: stmt, text: stmt.text});
+				this[stmt.type](stmt);
 			}
-			for (i = 0; i < dishes.length; i++)
+			catch (e)
 			{
-				if (bakingDishes[i] == undefined)
-					bakingDishes[i] = [];
-				for (j = 0; j < dishes[i].length; j++)
+				if (e.code === 'limit-exceeded' || e.callStack !== undefined)
 				{
-					var obj = {value: sidhes[i][j].value, type: dishes[i][j].type};
-					bakingDishes[i].push(obj);
+					throw e;
 				}
+				throw new Error('Instruction => "' + stmt.text + '" : ' + e.message);
 			}
 		},
 
-		// Decode a statement and invoke Chef methods.
-		doInstruction : function (line)
+		// Look up an ingredient that must be declared in the ingredient list, with or without a value.
+		lookUpDeclaredIngredient : function (ingredientName)
 		{
-			try
+			var ingredient = ingredients[ingredientName];
+			if (!ingredient)
 			{
-				console.log(line);
+				throw new Error('Undefined ingredient => "' + ingredientName + '"');
+			}
+			return ingredient;
+		},
 
-				// Read and execute a Chef statement.
-				var params = line.split(/\s+/);
-				if (params[0] in this && this[params[0]] instanceof Function)
-				{
-						this[params[0]](params.slice(1, params.length));
-				}
-				else
-				{
-					this.Verb(params);
-				}
+		// Look up an ingredient that must have a value.
+		lookUpIngredient : function (ingredientName)
+		{
+			var ingredient = ingredients[ingredientName];
+			if (!ingredient || ingredient.value === undefined)
+			{
+				throw new Error('Undefined ingredient => "' + ingredientName + '"');
 			}
-			catch (e)
+			return ingredient;
+		},
+
+		// Look up a mixing bowl that must have been filled.
+		lookUpMixingBowl : function (bowlIndex)
+		{
+			var mixingBowl = mixingBowls[bowlIndex];
+			if (!mixingBowl)
 			{
-				throw new Error('Instruction => "' + line + '" : ' + e.message);
+				throw new Error('Specified mixing bowl[' + bowlIndex + '] is empty.');
 			}
+			return mixingBowl;
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Take
 		 * Syntax: {Take ingredient from refrigerator.}
 		 * This reads a numeric value from STDIN into the ingredient named, overwriting any previous value.
-		 * (Not supported)
+		 * The value is taken from the input source passed via the options of init().
 		 * ----------------------------------------
 		 */
-		Take : function (params)
+		Take : function (stmt)
 		{
-			throw new Error('Sorry, "Take" statement ("Take xxx from refrigerator") is not supported.');	
+			// Look up the ingredient.
+			var ingredient = this.lookUpDeclaredIngredient(stmt.ingredient);
+
+			// Read the next number from the input source.
+			var value = readInput();
+			ingredient.value = value;
+
+			emit('take', {ingredient: stmt.ingredient, value: value});
 		},
 
 		/* ----------------------------------------
@@ -272,33 +555,21 @@ function init(lines, offset)
 		 * This puts the ingredient into the nth mixing bowl.
 		 * ----------------------------------------
 		 */
-		Put : function (params)
+		Put : function (stmt)
 		{
-
 			// Look up the ingredient.
-			var ingredientName = extractIngredientName(params, 0, 'into');
-			var ingredient = ingredients[ingredientName];
-			if (!ingredient || ingredient.value === undefined)
-			{
-				throw new Error('Undefined ingredient => "' + ingredientName + '"');
-			}
-
-			// Look up the mixing bowl.
-			var bowlIndex = extractMixingBowlIndex(params);
-			if (bowlIndex === false)
-			{
-				throw new Error('Syntax error => Mixing bowl must be specified.');
-			}
+			var ingredient = this.lookUpIngredient(stmt.ingredient);
 
 			// Put the ingredient into the mixing bowl.
-			if (!mixingBowls[bowlIndex])
+			if (!mixingBowls[stmt.bowl])
 			{
-				mixingBowls[bowlIndex] = [];
+				mixingBowls[stmt.bowl] = [];
 			}
 			var obj = {value: ingredient.value, type: ingredient.type};
-			mixingBowls[bowlIndex].push(obj);
+			mixingBowls[stmt.bowl].push(obj);
+			limits.checkSize('mixing bowl', stmt.bowl, mixingBowls[stmt.bowl], recipeTitle, stmt);
 
-			console.log('\tPut "' + ingredientName + '"(=' + obj.value + ') into the mixing bowl[' + bowlIndex + ']"');
+			emit('bowl-push', {bowl: stmt.bowl, item: copyItem(obj), ingredient: stmt.ingredient});
 		},
 
 		/* ----------------------------------------
@@ -307,167 +578,127 @@ function init(lines, offset)
 		 * This removes the top value from the nth mixing bowl and places it in the ingredient.
 		 * ----------------------------------------
 		 */
-		Fold : function (params)
+		Fold : function (stmt)
 		{
-			// Look up the ingredient.
-			var ingredientName = extractIngredientName(params, 0, 'into');
-			var ingredient = ingredients[ingredientName];
-			if (!ingredient || ingredient.value === undefined)
-			{
-				throw new Error('Undefined ingredient => "' + ingredientName + '"');
-			}
-
-			// Look up the mixing bowl.
-			var bowlIndex = extractMixingBowlIndex(params);
-			if (bowlIndex === false)
-			{
-				throw new Error('Syntax error => Mixing bowl must be specified.');
-			}
-			var bowl = mixingBowls[bowlIndex];
-			if (!bowl)
-			{
-				throw new Error('Syntax error => Specified mixing bowl[' + bowlIndex + '] is empty.');
-			}
+			// Look up the ingredient and the mixing bowl. (The ingredient doesn't need a value, as it's overwritten.)
+			var ingredient = this.lookUpDeclaredIngredient(stmt.ingredient);
+			var bowl = this.lookUpMixingBowl(stmt.bowl);
 
 			// Remove the top item from the mixing bowl and copy its value to the ingredient.
 			var obj = bowl.pop();
-			ingredient.type = obj.type;
-			ingredient.value = obj.value;
-
-			console.log('\tRemoved the top item(=' + obj.value + ') from the mixing bowl[' + bowlIndex + '] and copy the value to "' + ingredientName + '"');
-		},
-
-		ingredientAndMixingBowl: function (params, separator)
-		{
-			// Look up the ingredient.
-			var ingredientName = extractIngredientName(params, 0, separator);
-			if (ingredientName !== 'dry ingredients')
-			{
-				var ingredient = ingredients[ingredientName];
-				if (!ingredient || ingredient.value === undefined)
-				{
-					throw new Error('Undefined ingredient => "' + ingredientName + '"');
-				}
-			}
-
-			// Look up the mixing bowl.
-			var mixingBowlIndex = extractMixingBowlIndex(params);
-			if (mixingBowlIndex === false)
-			{
-				mixingBowlIndex = 0;
-			}
-			var mixingBowl = mixingBowls[mixingBowlIndex];
-			if (!mixingBowl)
+			if (obj === undefined)
 			{
-				throw new Error('Syntax error => Specified mixing bowl[' + mixingBowlIndex + '] is empty.');
+				throw emptyMixingBowlError(stmt.bowl);
 			}
+			ingredient.type = obj.type;
+			ingredient.value = obj.value;
 
-			// Return both objects.
-			return {ingredientName: ingredientName, ingredient: ingredient, mixingBowlIndex: mixingBowlIndex, mixingBowl: mixingBowl};
+			emit('bowl-pop', {bowl: stmt.bowl, item: copyItem(obj), ingredient: stmt.ingredient});
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Add
 		 * Syntax: {Add ingredient [to [nth] mixing bowl].}
-		 * This adds the value of ingredient to the value of the ingredient on top of the nth mixing bowl 
+		 * This adds the value of ingredient to the value of the ingredient on top of the nth mixing bowl
 		 * and stores the result in the nth mixing bowl.
 		 * ----------------------------------------
 		 * Syntax: {Add dry ingredients [to [nth] mixing bowl].}
 		 * This adds the values of all the dry ingredients together and places the result into the nth mixing bowl.
 		 * ----------------------------------------
 		 */
-		Add : function (params)
+		Add : function (stmt)
 		{
-			// Look up the ingredient and the mixing bowl.
-			var obj = this.ingredientAndMixingBowl(params, 'to');
-
-			if (obj.ingredientName === 'dry ingredients')
+			if (stmt.dry)
 			{
 				// Add the values of all the dry ingredients together and places the result into the nth mixing bowl.
-				var sum = 0;
-				ingredients.forEach(function(v){
-					if (v && v.type === 'dry')
-						sum += v.value;
-				});
-				var newObj = {value: sum};
-				obj.mixingBowl.push(newObj);
+				var sum = zero;
+				for (var name in ingredients)
+				{
+					if (ingredients[name].type === 'dry')
+						sum = checkInteger(sum + this.lookUpIngredient(name).value);
+				}
+				if (!mixingBowls[stmt.bowl])
+				{
+					mixingBowls[stmt.bowl] = [];
+				}
+				var mixingBowl = mixingBowls[stmt.bowl];
+				var newObj = {value: sum, type: 'dry'};
+				mixingBowl.push(newObj);
+				limits.checkSize('mixing bowl', stmt.bowl, mixingBowl, recipeTitle, stmt);
 
-				console.log('\tAdded the values of all dry ingredients together (=' + newObj.value 
-					+ ') and places the result into the mixing bowl[' + obj.mixingBowlIndex + '].');
+				emit('bowl-push', {bowl: stmt.bowl, item: copyItem(newObj), ingredient: null});
 			}
 			else
 			{
 				// Add the value of the ingredient to the value of the ingredient on top of the mixing bowl.
-				var topItem = obj.mixingBowl[obj.mixingBowl.length - 1];
-				topItem.value += obj.ingredient.value;
+				var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
+				var ingredient = this.lookUpIngredient(stmt.ingredient);
+				var topItem = lookUpTopItem(mixingBowl, stmt.bowl);
+				topItem.value = checkInteger(topItem.value + ingredient.value);
 
-				console.log('\tAdded the value of "' + obj.ingredientName + '"(=' + obj.ingredient.value 
-					+ ') to the value of the ingredient on top of the mixing bowl[' + obj.mixinBowlIndex
-					+ '].(the result value = ' + topItem.value + ')');
+				emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 			}
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Remove
 		 * Syntax: {Remove ingredient [from [nth] mixing bowl].}
-		 * This subtracts the value of ingredient from the value of the ingredient on top of the nth mixing bowl 
+		 * This subtracts the value of ingredient from the value of the ingredient on top of the nth mixing bowl
 		 * and stores the result in the nth mixing bowl.
 		 * ----------------------------------------
 		 */
-		Remove : function (params)
+		Remove : function (stmt)
 		{
 			// Look up the ingredient and the mixing bowl.
-			var obj = this.ingredientAndMixingBowl(params, 'from');
+			var ingredient = this.lookUpIngredient(stmt.ingredient);
+			var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
 
 			// Remove the value of the ingredient from the value of the ingredient on top of the mixing bowl.
-			var topItem = obj.mixingBowl[obj.mixingBowl.length - 1];
-			topItem.value -= obj.ingredient.value;
+			var topItem = lookUpTopItem(mixingBowl, stmt.bowl);
+			topItem.value = checkInteger(topItem.value - ingredient.value);
 
-			console.log('\tSubtracted the value of "' + obj.ingredientName + '"(=' + obj.ingredient.value 
-				+ ') from the value of the ingredient on top of the mixing bowl[' + obj.mixingBowlIndex 
-				+ '].(the result value = ' + topItem.value + ')');
+			emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Combine
 		 * Syntax: {Combine ingredient [into [nth] mixing bowl].}
-		 * This multiplies the value of ingredient by the value of the ingredient on top of the nth mixing bowl 
+		 * This multiplies the value of ingredient by the value of the ingredient on top of the nth mixing bowl
 		 * and stores the result in the nth mixing bowl.
 		 * ----------------------------------------
 		 */
-		Combine : function (params)
+		Combine : function (stmt)
 		{
 			// Look up the ingredient and the mixing bowl.
-			var obj = this.ingredientAndMixingBowl(params, 'into');
+			var ingredient = this.lookUpIngredient(stmt.ingredient);
+			var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
 
 			// Multiple the value of the ingredient by the value of the ingredient on top of the mixing bowl.
-			var topItem = obj.mixingBowl[obj.mixingBowl.length - 1];
-			topItem.value *= obj.ingredient.value;
+			var topItem = lookUpTopItem(mixingBowl, stmt.bowl);
+			topItem.value = checkInteger(topItem.value * ingredient.value);
 
-			console.log('\tMultiplied the value of "' + obj.ingredientName + '"(=' + obj.ingredient.value 
-				+ ') by the value of the ingredient on top of the mixing bowl[' + obj.mixingBowlIndex 
-				+ '].(the result value = ' + topItem.value + ')');
+			emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Divide
 		 * Syntax: {Divide ingredient [into [nth] mixing bowl].}
-		 * This divides the value of ingredient into the value of the ingredient on top of the nth mixing bowl 
+		 * This divides the value of ingredient into the value of the ingredient on top of the nth mixing bowl
 		 * and stores the result in the nth mixing bowl.
+		 * The result is an integer rounded towards zero, and dividing by zero is an error.
 		 * ----------------------------------------
 		 */
-		Divide : function (params)
+		Divide : function (stmt)
 		{
 			// Look up the ingredient and the mixing bowl.
-			var obj = this.ingredientAndMixingBowl(params, 'into');
+			var ingredient = this.lookUpIngredient(stmt.ingredient);
+			var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
 
-			// Multiple the value of the ingredient by the value of the ingredient on top of the mixing bowl.
-			var topItem = obj.mixingBowl[obj.mixingBowl.length - 1];
-			topItem.value /= obj.ingredient.value;
+			// Divide the value of the ingredient on top of the mixing bowl by the value of the ingredient.
+			var topItem = lookUpTopItem(mixingBowl, stmt.bowl);
+			topItem.value = divideInteger(topItem.value, ingredient.value, stmt.ingredient);
 
-			console.log('\tDivided the value of "' + obj.ingredientName + '"(=' + obj.ingredient.value 
-				+ ') into the value of the ingredient on top of the mixing bowl[' + obj.mixingBowlIndex 
-				+ '].(the result value = ' + topItem.value + ')');
+			emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 		},
 
 		/* ----------------------------------------
@@ -479,97 +710,68 @@ function init(lines, offset)
 		 * This turns all the ingredients in the nth mixing bowl into a liquid, i.e. a Unicode characters for output purposes.
 		 * ----------------------------------------
 		 */
-		Liquefy : function (params)
+		Liquefy : function (stmt)
 		{
-			var bowlIndex = extractMixingBowlIndex(params);
-			if (bowlIndex === false)
-			{
-				bowlIndex = 0;
-			}
-			var ingredients = mixingBowls[bowlIndex];
-			if (!ingredients)
+			if (stmt.contents)
 			{
-				throw new Error('Syntax error => Specified mixing bowl[' + bowlIndex + '] is empty.');
+				var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
+				liquefyContents(mixingBowl);
+				emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 			}
-			for (var i = 0; i < ingredients.length; i++)
+			else
 			{
-				ingredients[i].type = 'liquid';
+				var ingredient = this.lookUpIngredient(stmt.ingredient);
+				checkLiquefiable(ingredient.value);
+				ingredient.type = 'liquid';
 			}
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Stir
 		 * Syntax: {Stir [the [nth] mixing bowl] for number minutes.}
-		 * This "rolls" the top number ingredients in the nth mixing bowl, 
-		 * such that the top ingredient goes down that number of ingredients 
-		 * and all ingredients above it rise one place. 
-		 * If there are not that many ingredients in the bowl, 
+		 * This "rolls" the top number ingredients in the nth mixing bowl,
+		 * such that the top ingredient goes down that number of ingredients
+		 * and all ingredients above it rise one place.
+		 * If there are not that many ingredients in the bowl,
 		 * the top ingredient goes to tbe bottom of the bowl and all the others rise one place.
 		 * ----------------------------------------
 		 * Syntax: {Stir ingredient into the [nth] mixing bowl.}
-		 * This rolls the number of ingredients in the nth mixing bowl equal to the value of ingredient, 
-		 * such that the top ingredient goes down that number of ingredients 
-		 * and all ingredients above it rise one place. 
-		 * If there are not that many ingredients in the bowl, 
+		 * This rolls the number of ingredients in the nth mixing bowl equal to the value of ingredient,
+		 * such that the top ingredient goes down that number of ingredients
+		 * and all ingredients above it rise one place.
+		 * If there are not that many ingredients in the bowl,
 		 * the top ingredient goes to the bottom of the bowl and all the others rise one place.
 		 * ----------------------------------------
 		 */
-		Stir : function (params)
+		Stir : function (stmt)
 		{
-			if (params.indexOf('into') !== -1)
-			{
-				// Look up the ingredient and the mixing bowl.
-				var obj = this.ingredientAndMixingBowl(params, 'into');
-
-		 		// Move the top ingredient goes down that number of ingredients 
-				// and all ingredients above it rise one place. 
-				var topItem = obj.mixingBowl.pop();
-				var index = obj.ingredient.value < obj.mixingBowl.length ? obj.mixingBowl.length - obj.ingredient.value : 0;
-				obj.mixingBowl.splice(index, 0, topItem);
+			// Look up the mixing bowl and the number of ingredients to roll.
+			var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
+			var num = stmt.ingredient !== null ? Number(this.lookUpIngredient(stmt.ingredient).value) : stmt.minutes;
 
-				console.log('\tMoved the top ingredient of the mixing bowl[' + obj.mixingBowlIndex 
-					+ ']. (' + (obj.mixingBowl.length - 1) + ' => ' + index + ')');
-			}
-			else
-			{
-				// Look up the mixing bowl.
-				var bowlIndex = extractMixingBowlIndex(params);
-				if (bowlIndex === false)
-				{
-					bowlIndex = 0;
-				}
-				var mixingBowl = mixingBowls[bowlIndex];
-				if (!mixingBowl)
-				{
-					throw new Error('Syntax error => Specified mixing bowl[' + bowlIndex + '] is empty.');
-				}
-				var numIndex = params.indexOf('minutes');
-				var num = 0;
-				if (index === -1 || (num = parseInt(params[numIndex - 1])) === NaN)
-				{
-					throw new Error('Syntax error.');
-				}
-		 		// Move the top ingredient goes down that number
-				// and all ingredients above it rise one place. 
-				var topItem = mixingBowl.pop();
-				var index = num < mixingBowl.length ? mixingBowl.length - num : 0;
-				mixingBowl.splice(index, 0, topItem);
+			// Move the top ingredient goes down that number of ingredients
+			// and all ingredients above it rise one place.
+			stirContents(mixingBowl, num);
 
-				console.log('\tMoved the top ingredient of the mixing bowl[' + bowlIndex 
-					+ ']. (' + (mixingBowl.length - 1) + ' => ' + index + ')');
-			}
+			emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Mix
 		 * Syntax: {Mix [the [nth] mixing bowl] well.}
 		 * This randomises the order of the ingredients in the nth mixing bowl.
-		 * (Not supported)
+		 * The order depends on the random source passed via the options of init().
 		 * ----------------------------------------
 		 */
-		Mix : function (params)
+		Mix : function (stmt)
 		{
-			throw new Error('Sorry, "Mix" statement is not supported.');	
+			// Look up the mixing bowl.
+			var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
+
+			// Shuffle the ingredients.
+			mixContents(mixingBowl, random);
+
+			emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: copyItems(mixingBowl)});
 		},
 
 		/* ----------------------------------------
@@ -578,324 +780,3673 @@ function init(lines, offset)
 		 * This removes all the ingredients from the nth mixing bowl.
 		 * ----------------------------------------
 		 */
-		Clean : function (params)
+		Clean : function (stmt)
 		{
-			// Look up the mixing bowl.
-			var bowlIndex = extractMixingBowlIndex(params);
-			if (bowlIndex === false)
-			{
-				bowlIndex = 0;
-			}
 			// Remove all the ingredients from the mixing bowl.
-			mixingBowls[bowlIndex] = [];
-			console.log("\tRemoved all the ingredients from the mixing bowl[" + bowlIndex + '].');
+			mixingBowls[stmt.bowl] = [];
+			emit('bowl-update', {bowl: stmt.bowl, operation: stmt.type, contents: []});
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Pour
 		 * Syntax: {Pour contents of the [nth] mixing bowl into the [pth] baking dish.}
-		 * This copies all the ingredients from the nth mixing bowl to the pth baking dish, 
+		 * This copies all the ingredients from the nth mixing bowl to the pth baking dish,
 		 * retaining the order and putting them on top of anything already in the baking dish.
 		 * ----------------------------------------
 		 */
-		Pour  : function (params)
+		Pour  : function (stmt)
 		{
 			// Look up the mixing bowl.
-			var bowlIndex = extractMixingBowlIndex(params);
-			if (bowlIndex === false)
-			{
-				throw new Error('Syntax error => Mixing bowl must be specified.');
-			}
-
-			var ingredients = mixingBowls[bowlIndex];
-			if (!ingredients)
-			{
-				throw new Error('Syntax error => Specified mixing bowl[' + bowlIndex + '] is empty.');
-			}
-
-			// Look up the baking dish.
-			var dishIndex = extractBakingDishIndex(params);
-			if (dishIndex === false)
-			{
-				throw new Error('Syntax error => Baking dish must be specified.');
-			}
+			var mixingBowl = this.lookUpMixingBowl(stmt.bowl);
 
-			// Copy all the ingredients from the mixing bowl to the baking dish, 
-			if (!bakingDishes[dishIndex])
-			{
-				bakingDishes[dishIndex] = [];
-			}
-			for (var i = 0; i < ingredients.length; i++)
-			{
-				bakingDishes[dishIndex].push(ingredients[i]);
-			}
+			// Copy all the ingredients from the mixing bowl to the baking dish,
+			pourContents(mixingBowl, bakingDishes, stmt.dish);
+			limits.checkSize('baking dish', stmt.dish, bakingDishes[stmt.dish], recipeTitle, stmt);
+			emit('pour', {bowl: stmt.bowl, dish: stmt.dish, contents: copyItems(bakingDishes[stmt.dish])});
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Set
 		 * Syntax: {Set aside.}
-		 * This causes execution of the innermost loop in which it occurs to end immediately 
+		 * This causes execution of the innermost loop in which it occurs to end immediately
 		 * and execution to continue at the statement after the "until".
 		 * ----------------------------------------
 		 */
-		Set : function (params)
+		Set : function (stmt)
 		{
 			if (loopStack.length > 0)
 			{
-				var loop = loopStack[loopStack.length - 1];
-				loop.forceExit = true;
+				// Exit loop.
+				var loop = loopStack.pop();
+				currentStatement = loop.end;
+				var loopStart = method[loop.start];
+				emit('loop-exit', {verb: loopStart.verb, ingredient: loopStart.ingredient, value: ingredients[loopStart.ingredient].value});
 			}
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Serve
 		 * Syntax: {Serve with auxiliary-recipe.}
-		 * This invokes a sous-chef to immediately prepare the named auxiliary-recipe. 
-		 * The calling chef waits until the sous-chef is finished before continuing. 
+		 * This invokes a sous-chef to immediately prepare the named auxiliary-recipe.
+		 * The calling chef waits until the sous-chef is finished before continuing.
+		 * The sous-chef has its own ingredients, and works on copies of the calling chef's mixing bowls and baking dishes.
+		 * When it's finished, the contents of its first mixing bowl are placed on top of the calling chef's first mixing bowl.
+		 * Auxiliary recipes may invoke themselves, up to the depth of the {sousChefDepth} limit.
 		 * ----------------------------------------
 		 */
-		Serve : function (params)
+		Serve : function (stmt)
 		{
-			if (params[0] !== 'with')
+			var auxiliaryRecipe = this.lookUpAuxiliaryRecipe(stmt.recipe);
+			limits.enterSousChef(recipeTitle, stmt);
+			emit('sous-chef-invoke', {auxiliaryRecipe: auxiliaryRecipe.title});
+			serveStatement = stmt;
+			try
+			{
+				sousChef = this.hireSousChef(auxiliaryRecipe);
+			}
+			catch (e)
 			{
-				throw new Error('Syntax error.');
+				// (e.g. an initial value of the auxiliary recipe is invalid)
+				throw this.sousChefError(e);
 			}
-			var auxiliaryRecipe = params.slice(1, params.length).join(' ');
-			// Seek to the auxiliary recipe.
-			for (var i = 0; i < lines.length; i++)
+			sousChef.copyIntermediateValues(mixingBowls, bakingDishes);
+			innermost.chef = sousChef;
+
+			// The sous-chef cooks on the following calls of step().
+			this.receiveFromSousChef();
+		},
+
+		// Look up the auxiliary recipe for "Serve with". (see recipeKey())
+		lookUpAuxiliaryRecipe : function (title)
+		{
+			var dialect = lookUpDialect(recipe.dialect);
+			for (var i = 0; i < auxiliaryRecipes.length; i++)
 			{
-				if (lines[i].trim().toLowerCase() === auxiliaryRecipe.toLowerCase())
+				if (recipeKey(auxiliaryRecipes[i].title, dialect) === recipeKey(title, dialect))
+				{
+					return auxiliaryRecipes[i];
+				}
+			}
+			throw new Error('Auxiliary recipe - ' + title + ' - is not found.');
+		},
+
+		// Create a sous-chef for an auxiliary recipe, who shares the input, the random source and the limits of this chef.
+		hireSousChef : function (auxiliaryRecipe)
+		{
+			return init(auxiliaryRecipe, {input: readInput, random: random, auxiliaryRecipes: auxiliaryRecipes, trace: trace, sharedLimits: limits, bigint: bigint,
+				caller: chef, innermost: innermost});
+		},
+
+		// Receive the first mixing bowl of the sous-chef for "Serve with", once no statement remains for it to execute.
+		receiveFromSousChef : function ()
+		{
+			if (sousChef.getNextStatement() !== null)
+			{
+				return;
+			}
+			try
+			{
+				// Let the sous-chef serve its dishes, if any.
+				while (sousChef.step())
 				{
-					var jumpTo = i;
-					break;
 				}
 			}
-			if (jumpTo == undefined)
+			catch (e)
 			{
-				throw new Error('Syntax error: Auxiliary recipe - ' + auxiliaryRecipe + ' - is not found.');
+				throw this.sousChefError(e);
 			}
-			console.log("\t+++++ Invoke external recipe!");
-			var sousChef = init(lines, jumpTo);
-			sousChef.copyIntermediateValues(mixingBowls, bakingDishes);
-			sousChef.run();
-			var firstMixingBowl = sousChef.getFirstMixingBowl();
+
+			// Only the first mixing bowl comes back. (empty if the sous-chef never filled it)
+			var firstMixingBowl = sousChef.getFirstMixingBowl() || [];
+			emit('sous-chef-return', {auxiliaryRecipe: sousChef.getKitchen().recipe, contents: copyItems(firstMixingBowl)});
+			limits.leaveSousChef();
+			var stmt = serveStatement;
+			sousChef = null;
+			serveStatement = null;
+			innermost.chef = chef;
 			if (mixingBowls[0] == undefined)
 				mixingBowls[0] = [];
-			for (i = 0; i < firstMixingBowl.length; i++)
+			for (var i = 0; i < firstMixingBowl.length; i++)
+			{
+				mixingBowls[0].push(copyItem(firstMixingBowl[i]));
+			}
+			limits.checkSize('mixing bowl', 0, mixingBowls[0], recipeTitle, stmt);
+		},
+
+		// Add the "Serve with" statement to the call stack of an error of the sous-chef. (see run())
+		// The error keeps the position of the statement that failed, which is where the recipe needs fixing.
+		sousChefError : function (e)
+		{
+			if (e.code === 'limit-exceeded')
 			{
-				mixingBowls[0].push(firstMixingBowl[i]);
+				return e;
 			}
+			e.callStack = [{recipe: recipeTitle, line: serveStatement.line, column: serveStatement.column}].concat(e.callStack || []);
+			return e;
 		},
 
 		/* ----------------------------------------
 		 * Chef method - Refrigerate
 		 * Syntax: {Refrigerate [for number hours].}
-		 * This causes execution of the recipe in which it appears to end immediately. 
-		 * If in an auxiliary recipe, the auxiliary recipe ends and the sous-chef's first mixing bowl is passed back to the calling chef as normal. 
+		 * This causes execution of the recipe in which it appears to end immediately.
+		 * If in an auxiliary recipe, the auxiliary recipe ends and the sous-chef's first mixing bowl is passed back to the calling chef as normal.
 		 * If a number of hours is specified, the recipe will print out its first number baking dishes (see the Serves statement below) before ending.
+		 * (The dishes of a sous-chef are served along with the head chef's. See addServedDish())
 		 * ----------------------------------------
 		 */
-		Refrigerate : function (params)
+		Refrigerate : function (stmt)
 		{
-			if (params && params.length >= 3
-				&& params[0].trim() === 'for' 
-				&& params[2].trim() === 'hours')
+			if (stmt.hours !== null)
 			{
-				this.prepareDishes(parseInt(params[1]));
+				this.prepareDishes(stmt.hours);
 			}
 			exitMainLoop = true;
-			console.log("\t+++++ Exit from external recipe!");
 		},
 
 		/* ----------------------------------------
 		 * Chef method - (arbitrary word of verb)
 		 * Syntax: {Verb the ingredient.}
-		 * This marks the beginning of a loop. It must appear as a matched pair with the following statement. 
-		 * The loop executes as follows: The value of ingredient is checked. If it is non-zero, 
-		 * the body of the loop executes until it reaches the "until" statement. 
-		 * The value of ingredient is rechecked. If it is non-zero, the loop executes again. 
-		 * If at any check the value of ingredient is zero, the loop exits and execution continues at the statement after the "until". 
+		 * This marks the beginning of a loop. It must appear as a matched pair with the following statement.
+		 * The loop executes as follows: The value of ingredient is checked. If it is non-zero,
+		 * the body of the loop executes until it reaches the "until" statement.
+		 * The value of ingredient is rechecked. If it is non-zero, the loop executes again.
+		 * If at any check the value of ingredient is zero, the loop exits and execution continues at the statement after the "until".
 		 * Loops may be nested.
 		 * ----------------------------------------
-		 * Syntax: {Verb [the ingredient] until verbed.}
-                 * This marks the end of a loop. It must appear as a matched pair with the above statement. 
-		 * verbed must match the Verb in the matching loop start statement. The Verb in this statement may be arbitrary and is ignored. 
-		 * If the ingredient appears in this statement, its value is decremented by 1 when this statement executes. 
+		 */
+		Verb : function (stmt)
+		{
+			// Look up an ingredient that is checked on each iteration.
+			var ingredientToCheck = this.lookUpIngredient(stmt.ingredient);
+			var loop = loopStack[loopStack.length - 1];
+			var entered = loop !== undefined && loop.start === currentStatement;
+
+			if (ingredientToCheck.value === zero)
+			{
+				// Exit loop. (or skip it entirely)
+				if (entered)
+				{
+					loopStack.pop();
+				}
+				currentStatement = stmt.end;
+				emit('loop-exit', {verb: stmt.verb, ingredient: stmt.ingredient, value: ingredientToCheck.value});
+			}
+			else if (!entered)
+			{
+				// Store the loop information into the stack.
+				loopStack.push({start: currentStatement, end: stmt.end});
+				emit('loop-enter', {verb: stmt.verb, ingredient: stmt.ingredient, value: ingredientToCheck.value});
+			}
+			else
+			{
+				emit('loop-continue', {verb: stmt.verb, ingredient: stmt.ingredient, value: ingredientToCheck.value});
+			}
+		},
+
+		/* ----------------------------------------
+		 * Chef method - (arbitrary word of verb) until
+		 * Syntax: {Verb [the ingredient] until verbed.}
+		 * This marks the end of a loop. It must appear as a matched pair with the above statement.
+		 * verbed must match the Verb in the matching loop start statement. The Verb in this statement may be arbitrary and is ignored.
+		 * If the ingredient appears in this statement, its value is decremented by 1 when this statement executes.
 		 * The ingredient does not have to match the ingredient in the matching loop start statement.
 		 * ----------------------------------------
 		 */
-		Verb : function (params)
+		Until : function (stmt)
+		{
+			// Decrement the ingredient.
+			if (stmt.ingredient !== null)
+			{
+				this.lookUpIngredient(stmt.ingredient).value--;
+			}
+
+			// Go back to the start of the loop, where the ingredient is rechecked.
+			currentStatement = stmt.start - 1;
+		}
+	};
+
+	if (caller === null)
+	{
+		innermost.chef = chef;
+	}
+
+	// Resume the cooking from the snapshot, if any.
+	if (snapshot !== null)
+	{
+		chef.restoreKitchen(snapshot.kitchen);
+	}
+	return chef;
+}
+
+/* ----------------------------------------
+ * Create a step debugger
+ * This function parses a recipe and returns an object that executes it statement by statement.
+ * Execution pauses before the statement to be executed next. step() enters sous-chefs invoked by "Serve with",
+ * stepOver() lets them finish, and continue() runs until a statement on a breakpoint line or the end of the recipe.
+ * Each of them returns the pause: {reason ('step', 'breakpoint' or 'finished'), recipe, line, column, statement}.
+ * An error stops the recipe and is thrown by the call that caused it.
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) The options of init() and parse(), and the following property.
+ *     breakpoints: An array of line numbers to pause at.
+ * [return]
+ * An object that contains closures.
+ * ----------------------------------------
+ */
+function debug(text, options)
+{
+	options = options || {};
+
+	var recipe = parse(text, options);
+	var headChef = init(recipe, options);
+	var breakpoints = Object.create(null);
+	var error = null;
+	(options.breakpoints || []).forEach(function (line)
+	{
+		breakpoints[line] = true;
+	});
+
+	// Return the chefs that are cooking, from the head chef to the innermost sous-chef.
+	var activeChefs = function ()
+	{
+		var chefs = [headChef];
+		var sousChef = headChef.getSousChef();
+		while (sousChef !== null && sousChef.getNextStatement() !== null)
+		{
+			chefs.push(sousChef);
+			sousChef = sousChef.getSousChef();
+		}
+		return chefs;
+	};
+
+	// Execute a statement, and serve the dishes if no statement remains.
+	var step = function ()
+	{
+		if (error !== null)
+		{
+			throw error;
+		}
+		try
+		{
+			headChef.step();
+			while (headChef.getNextStatement() === null && headChef.step())
+			{
+			}
+		}
+		catch (e)
+		{
+			error = e;
+			throw e;
+		}
+	};
+
+	// Describe where the execution pauses.
+	var pause = function (reason)
+	{
+		var next = headChef.getNextStatement();
+		if (next === null)
+		{
+			return {reason: 'finished', recipe: recipe.title, line: null, column: null, statement: null};
+		}
+		var chefs = activeChefs();
+		return {
+			reason: reason,
+			recipe: chefs[chefs.length - 1].getKitchen().recipe,
+			line: next.line,
+			column: next.column,
+			statement: next
+		};
+	};
+
+	var atBreakpoint = function ()
+	{
+		var next = headChef.getNextStatement();
+		return next !== null && next.line in breakpoints;
+	};
+
+	return {
+
+		// Getter (the parsed recipe)
+		getRecipe : function ()
+		{
+			return recipe;
+		},
+
+		setBreakpoint : function (line)
+		{
+			breakpoints[line] = true;
+		},
+
+		clearBreakpoint : function (line)
+		{
+			delete breakpoints[line];
+		},
+
+		// Getter (the breakpoint lines in ascending order)
+		getBreakpoints : function ()
+		{
+			return Object.keys(breakpoints).map(Number).sort(function (a, b) { return a - b; });
+		},
+
+		// Getter (where the execution pauses now)
+		getPause : function ()
+		{
+			return pause(atBreakpoint() ? 'breakpoint' : 'step');
+		},
+
+		// Execute the next statement. A "Serve with" pauses at the first statement of the auxiliary recipe.
+		step : function ()
+		{
+			if (headChef.getNextStatement() !== null)
+			{
+				step();
+			}
+			return pause(atBreakpoint() ? 'breakpoint' : 'step');
+		},
+
+		// Execute the next statement. A "Serve with" runs the auxiliary recipe to its end, unless a breakpoint is hit.
+		stepOver : function ()
+		{
+			var depth = activeChefs().length;
+			if (headChef.getNextStatement() !== null)
+			{
+				step();
+			}
+			while (headChef.getNextStatement() !== null && activeChefs().length > depth)
+			{
+				if (atBreakpoint())
+				{
+					return pause('breakpoint');
+				}
+				step();
+			}
+			return pause(atBreakpoint() ? 'breakpoint' : 'step');
+		},
+
+		// Execute statements until a breakpoint is hit or the recipe is finished.
+		'continue' : function ()
+		{
+			if (headChef.getNextStatement() !== null)
+			{
+				step();
+			}
+			while (headChef.getNextStatement() !== null)
+			{
+				if (atBreakpoint())
+				{
+					return pause('breakpoint');
+				}
+				step();
+			}
+			return pause('finished');
+		},
+
+		/* ----------------------------------------
+		 * Inspect the kitchen at the pause
+		 * [return]
+		 * The kitchen of the innermost chef (see getKitchen() of init()) with the following properties added.
+		 *   line, column: The position of the statement to be executed next. (null when finished)
+		 *   callStack: The kitchens of all the chefs cooking, from the head chef to the innermost sous-chef.
+		 *              Each chef but the innermost one is waiting at its {serveStatement}.
+		 *   diners: The dishes served so far.
+		 * ----------------------------------------
+		 */
+		inspect : function ()
+		{
+			var callStack = activeChefs().map(function (chef)
+			{
+				return chef.getKitchen();
+			});
+			var current = callStack[callStack.length - 1];
+			var next = headChef.getNextStatement();
+			var result = {};
+			for (var key in current)
+			{
+				result[key] = current[key];
+			}
+			result.line = next !== null ? next.line : null;
+			result.column = next !== null ? next.column : null;
+			result.callStack = callStack;
+			result.diners = headChef.getDiners().slice();
+			return result;
+		},
+
+		// Take a snapshot of the cooking at the pause. (see snapshot() of init())
+		snapshot : function ()
+		{
+			return headChef.snapshot();
+		},
+
+		// Getter (whether the recipe is finished)
+		isFinished : function ()
+		{
+			return headChef.isFinished();
+		},
+
+		// Getter (finished dishes)
+		getDiners : function ()
+		{
+			return headChef.getDiners();
+		}
+	};
+}
+
+/* ----------------------------------------
+ * Cook a recipe asynchronously
+ * This function parses a recipe and returns an async iterator of the dishes, so that it can be consumed with "for await".
+ * Each dish is yielded as soon as "Serves" or "Refrigerate for number hours" serves it.
+ * The statements are executed in batches, and the event loop gets a turn between the batches,
+ * so a long recipe never blocks the page or the process.
+ * An error stops the recipe and rejects the promise returned by next().
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) The options of init() and parse(), with the following differences.
+ *     input: A function may return a promise of the next number. "Take" waits until it is fulfilled.
+ *            (The time limit includes the time spent waiting.)
+ *     batchSize: The number of statements executed between turns of the event loop. (1000 by default)
+ *     structured: true to yield each dish as {items, text} instead of its text, as run() does.
+ * [return]
+ * An async iterator with the following methods.
+ *   next(): Return a promise of {value: dish, done: false}, or {value: undefined, done: true} when the recipe is finished.
+ *   return(): Stop cooking. The iteration is done. (called by "break" in "for await")
+ *   cancel(): Stop cooking. The pending and following next() calls are rejected with an error with {code} 'cancelled'.
+ *   getChef(): Return the head chef (see init()), e.g. to inspect the kitchen.
+ * ----------------------------------------
+ */
+function stream(text, options)
+{
+	options = options || {};
+
+	var recipe = parse(text, options);
+	var provideInput = options.input instanceof Function ? options.input : null;
+	var fetchedInput = []; // Numbers (or errors) fetched for the next "Take"
+	var chefOptions = {};
+	for (var key in options)
+	{
+		chefOptions[key] = options[key];
+	}
+	if (provideInput !== null)
+	{
+		chefOptions.input = function ()
+		{
+			var fetched = fetchedInput.shift();
+			if (fetched !== undefined && fetched.error)
+			{
+				throw fetched.error;
+			}
+			return fetched !== undefined ? fetched.value : undefined;
+		};
+	}
+	var headChef = init(recipe, chefOptions);
+	var structured = options.structured === true;
+	var batchSize = options.batchSize === undefined ? 1000 : options.batchSize;
+	if (typeof batchSize !== 'number' || !(batchSize >= 1))
+	{
+		throw new Error('Invalid batch size => ' + batchSize);
+	}
+
+	var served = 0; // The number of dishes yielded
+	var closed = false;
+	var error = null;
+	var request = null; // The next() call being processed: {resolve, reject}
+	var queue = Promise.resolve();
+	var schedule = typeof setImmediate === 'function' ? setImmediate : function (callback)
+	{
+		setTimeout(callback, 0);
+	};
+
+	// Fetch the number for a "Take" statement before it is executed.
+	var fetchInput = function (callback)
+	{
+		var settle = function (fetched)
+		{
+			fetchedInput.push(fetched);
+			callback();
+		};
+		var value;
+		try
+		{
+			value = provideInput();
+		}
+		catch (e)
+		{
+			settle({error: e});
+			return;
+		}
+		if (value !== null && typeof value === 'object' && value.then instanceof Function)
+		{
+			value.then(function (value)
+			{
+				settle({value: value});
+			}, function (e)
+			{
+				settle({error: e instanceof Error ? e : new Error(String(e))});
+			});
+			return;
+		}
+		settle({value: value});
+	};
+
+	// Cook until the next dish is served, then settle the request.
+	var produce = function ()
+	{
+		return new Promise(function (resolve, reject)
+		{
+			if (error !== null)
+			{
+				reject(error);
+				return;
+			}
+			if (closed)
+			{
+				resolve({value: undefined, done: true});
+				return;
+			}
+			var current = request = {resolve: resolve, reject: reject};
+
+			var cook = function ()
+			{
+				try
+				{
+					for (var count = 0; count < batchSize; count++)
+					{
+						if (request !== current)
+						{
+							return; // Stopped by return() or cancel()
+						}
+						var diners = structured ? headChef.getServedDishes() : headChef.getDiners();
+						if (served < diners.length)
+						{
+							request = null;
+							resolve({value: diners[served++], done: false});
+							return;
+						}
+						if (headChef.isFinished())
+						{
+							request = null;
+							closed = true;
+							resolve({value: undefined, done: true});
+							return;
+						}
+						var next = headChef.getNextStatement();
+						if (provideInput !== null && next !== null && next.type === 'Take' && fetchedInput.length === 0)
+						{
+							fetchInput(cook);
+							return;
+						}
+						headChef.step();
+					}
+				}
+				catch (e)
+				{
+					request = null;
+					error = e;
+					reject(e);
+					return;
+				}
+				schedule(cook);
+			};
+			cook();
+		});
+	};
+
+	var iterator = {
+
+		next : function ()
+		{
+			var result = queue.then(produce);
+			queue = result.then(null, function ()
+			{
+			});
+			return result;
+		},
+
+		'return' : function ()
+		{
+			closed = true;
+			if (request !== null)
+			{
+				var stopped = request;
+				request = null;
+				stopped.resolve({value: undefined, done: true});
+			}
+			return Promise.resolve({value: undefined, done: true});
+		},
+
+		cancel : function ()
+		{
+			if (error === null && !closed)
+			{
+				error = new Error('The cooking was cancelled.');
+				error.code = 'cancelled';
+			}
+			if (request !== null)
+			{
+				var stopped = request;
+				request = null;
+				stopped.reject(error);
+			}
+		},
+
+		// Getter (the head chef)
+		getChef : function ()
+		{
+			return headChef;
+		}
+	};
+	if (typeof Symbol === 'function' && Symbol.asyncIterator)
+	{
+		iterator[Symbol.asyncIterator] = function ()
+		{
+			return this;
+		};
+	}
+	return iterator;
+}
+
+/* ----------------------------------------
+ * Compile a recipe into a JavaScript function
+ * This function parses a recipe and translates the main recipe and its auxiliary recipes into JavaScript.
+ * The ingredients and mixing bowls are resolved ahead of time and loops become native loops,
+ * so the compiled recipe can be cooked many times much faster than with run(). The dishes and errors are the same as run()'s.
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) The options of parse().
+ * [return]
+ * A function that cooks the recipe and returns the finished dishes. It takes the {input}, {seed}, {random} and {bigint} options of init(),
+ * and the {structured} option of run().
+ * (Tracing and limits are not supported, except the default depth of sous-chefs.) The generated JavaScript is available in its {source} property.
+ * ----------------------------------------
+ */
+function compile(text, options)
+{
+	var recipe = parse(text, options);
+	var recipes = [recipe].concat(recipe.auxiliaryRecipes);
+
+	// Each recipe becomes a function named r<index> that cooks in the kitchen passed to it.
+	var source = recipes.map(function (r, index)
+	{
+		return compileRecipe(r, index, recipe.auxiliaryRecipes);
+	}).join('\n') + 'return r0;\n';
+	var cookMainRecipe = new Function('rt', source)(compiledRuntime);
+
+	var compiled = function (options)
+	{
+		options = options || {};
+		var bigint = options.bigint === true;
+		var kitchen = {
+			bowls: [],
+			dishes: [],
+			diners: [],
+			servedDishes: [],
+			zero: bigint ? BigInt(0) : 0,
+			input: createInputReader(options.input, bigint),
+			random: options.random || createRandom(options.seed),
+			limits: createLimits()
+		};
+		cookMainRecipe(kitchen);
+		return options.structured ? kitchen.servedDishes : kitchen.diners;
+	};
+	compiled.source = source;
+	return compiled;
+}
+
+// Translate a recipe into the source of a JavaScript function. {auxiliaryRecipes} are the recipes "Serve with" can invoke.
+function compileRecipe(recipe, index, auxiliaryRecipes)
+{
+	// Give each ingredient a variable. (A later declaration of the same name replaces the earlier one.)
+	var variables = Object.create(null);
+	var declarations = Object.create(null);
+	recipe.ingredients.forEach(function (ingredient)
+	{
+		if (!(ingredient.name in variables))
+		{
+			variables[ingredient.name] = 'i' + Object.keys(variables).length;
+		}
+		declarations[ingredient.name] = ingredient;
+	});
+
+	var context = {
+		title: recipe.title,
+		positions: 'p' + index,
+		variables: variables,
+		// The expression of an ingredient that must be declared
+		declared : function (name)
+		{
+			return name in variables ? variables[name] : 'rt.undefinedIngredient(' + sourceLiteral(name) + ')';
+		},
+		// The expression of an ingredient that must have a value (see lookUpIngredient())
+		ingredient : function (name)
+		{
+			if (name in variables && declarations[name].value === undefined)
+			{
+				return 'rt.defined(' + variables[name] + ', ' + sourceLiteral(name) + ')';
+			}
+			return this.declared(name);
+		},
+		// The index of the recipe "Serve with" invokes, or -1
+		recipeIndex : function (title)
+		{
+			var dialect = lookUpDialect(recipe.dialect);
+			for (var i = 0; i < auxiliaryRecipes.length; i++)
+			{
+				if (recipeKey(auxiliaryRecipes[i].title, dialect) === recipeKey(title, dialect))
+				{
+					return i + 1;
+				}
+			}
+			return -1;
+		}
+	};
+
+	var lines = [];
+	var depth = 2;
+	var write = function (code)
+	{
+		lines.push(new Array(depth + 1).join('\t') + code);
+	};
+
+	recipe.method.forEach(function (stmt, i)
+	{
+		if (stmt.type === 'Until')
+		{
+			write('s = ' + i + ';');
+			if (stmt.ingredient !== null)
+			{
+				write(context.ingredient(stmt.ingredient) + '.value--;');
+			}
+			depth--;
+			write('}');
+		}
+		else if (stmt.type === 'Verb')
+		{
+			write('while ((s = ' + i + ', ' + context.ingredient(stmt.ingredient) + '.value !== k.zero))');
+			write('{');
+			depth++;
+		}
+		else
+		{
+			write('s = ' + i + ';');
+			// "Set aside" outside of loops does nothing.
+			if (stmt.type !== 'Set' || depth > 2)
+			{
+				write(statementCompilers[stmt.type](stmt, context));
+			}
+		}
+	});
+	if (recipe.serves !== null)
+	{
+		write('s = -1;');
+		write('rt.serve(k, ' + recipe.serves + ');');
+	}
+
+	// The positions for errors, of the statements and the Serves statement (s = -1)
+	var positions = {
+		recipe: recipe.title,
+		statements: recipe.method.map(function (stmt)
+		{
+			return {line: stmt.line, column: stmt.column, endLine: stmt.endLine, endColumn: stmt.endColumn, text: stmt.text};
+		}),
+		serves: {line: recipe.servesLine, column: recipe.servesColumn}
+	};
+
+	var ingredientDeclarations = Object.keys(variables).map(function (name)
+	{
+		var ingredient = declarations[name];
+		var initial = {digits: ingredient.digits, line: ingredient.line, column: ingredient.column,
+			endLine: ingredient.endLine, endColumn: ingredient.endColumn};
+		var value = ingredient.value !== undefined ? 'rt.number(k, ' + sourceLiteral(initial) + ')' : 'undefined';
+		return '\tvar ' + variables[name] + ' = {value: ' + value + ', type: ' + sourceLiteral(ingredient.type) + '};\n';
+	}).join('');
+
+	return '// ' + sourceLiteral(recipe.title) + '\n'
+		+ 'var p' + index + ' = ' + sourceLiteral(positions) + ';\n'
+		+ 'function r' + index + '(k)\n'
+		+ '{\n'
+		+ ingredientDeclarations
+		+ '\tvar s = 0, b, x;\n'
+		+ '\ttry\n'
+		+ '\t{\n'
+		+ lines.join('\n') + (lines.length > 0 ? '\n' : '')
+		+ '\t}\n'
+		+ '\tcatch (e)\n'
+		+ '\t{\n'
+		+ '\t\tthrow rt.fail(e, p' + index + ', s);\n'
+		+ '\t}\n'
+		+ '\treturn k;\n'
+		+ '}\n';
+}
+
+// Write a value of a recipe (e.g. a title or an ingredient name) into the generated source as a JavaScript literal.
+// JSON leaves U+2028 and U+2029 as they are, and they end a line in JavaScript, so they are escaped as well.
+function sourceLiteral(value)
+{
+	return JSON.stringify(value).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+// Translators of statements into JavaScript, keyed by statement type. (Loops are translated by compileRecipe().)
+// The code runs with the kitchen in {k}, and {b} and {x} are free for temporaries.
+// Each one checks and fails in the same order as the Chef method of init() does.
+var statementCompilers = {
+	'Take' : function (stmt, c)
+	{
+		return c.declared(stmt.ingredient) + '.value = k.input();';
+	},
+	'Put' : function (stmt, c)
+	{
+		return 'rt.put(k, ' + stmt.bowl + ', ' + c.ingredient(stmt.ingredient) + ');';
+	},
+	'Fold' : function (stmt, c)
+	{
+		return 'x = ' + c.declared(stmt.ingredient) + '; b = rt.bowl(k, ' + stmt.bowl + '); rt.fold(x, b, ' + stmt.bowl + ');';
+	},
+	'Add' : function (stmt, c)
+	{
+		if (stmt.dry)
+		{
+			var dryIngredients = Object.keys(c.variables).map(function (name)
+			{
+				return c.variables[name];
+			});
+			return 'rt.put(k, ' + stmt.bowl + ', {value: rt.sumDry(k, [' + dryIngredients.join(', ') + '], '
+				+ sourceLiteral(Object.keys(c.variables)) + '), type: "dry"});';
+		}
+		return 'b = rt.bowl(k, ' + stmt.bowl + '); x = ' + c.ingredient(stmt.ingredient) + '; b = rt.top(b, ' + stmt.bowl + '); '
+			+ 'b.value = rt.integer(b.value + x.value);';
+	},
+	'Remove' : function (stmt, c)
+	{
+		return 'x = ' + c.ingredient(stmt.ingredient) + '; b = rt.top(rt.bowl(k, ' + stmt.bowl + '), ' + stmt.bowl + '); '
+			+ 'b.value = rt.integer(b.value - x.value);';
+	},
+	'Combine' : function (stmt, c)
+	{
+		return 'x = ' + c.ingredient(stmt.ingredient) + '; b = rt.top(rt.bowl(k, ' + stmt.bowl + '), ' + stmt.bowl + '); '
+			+ 'b.value = rt.integer(b.value * x.value);';
+	},
+	'Divide' : function (stmt, c)
+	{
+		return 'x = ' + c.ingredient(stmt.ingredient) + '; b = rt.top(rt.bowl(k, ' + stmt.bowl + '), ' + stmt.bowl + '); '
+			+ 'b.value = rt.divide(b.value, x.value, ' + sourceLiteral(stmt.ingredient) + ');';
+	},
+	'Liquefy' : function (stmt, c)
+	{
+		if (stmt.contents)
+		{
+			return 'rt.liquefy(rt.bowl(k, ' + stmt.bowl + '));';
+		}
+		return 'rt.liquefyIngredient(' + c.ingredient(stmt.ingredient) + ');';
+	},
+	'Stir' : function (stmt, c)
+	{
+		var num = stmt.ingredient !== null ? c.ingredient(stmt.ingredient) + '.value' : stmt.minutes;
+		return 'b = rt.bowl(k, ' + stmt.bowl + '); rt.stir(b, ' + num + ');';
+	},
+	'Mix' : function (stmt)
+	{
+		return 'rt.mix(rt.bowl(k, ' + stmt.bowl + '), k.random);';
+	},
+	'Clean' : function (stmt)
+	{
+		return 'k.bowls[' + stmt.bowl + '] = [];';
+	},
+	'Pour' : function (stmt)
+	{
+		return 'rt.pour(k, rt.bowl(k, ' + stmt.bowl + '), ' + stmt.dish + ');';
+	},
+	'Set' : function ()
+	{
+		return 'break;';
+	},
+	'Serve' : function (stmt, c)
+	{
+		var index = c.recipeIndex(stmt.recipe);
+		if (index === -1)
+		{
+			return 'rt.missingRecipe(' + sourceLiteral(stmt.recipe) + ');';
+		}
+		return 'rt.receive(k, r' + index + '(rt.sousChefKitchen(k, ' + sourceLiteral(c.title) + ', ' + c.positions + '.statements[s])));';
+	},
+	'Refrigerate' : function (stmt)
+	{
+		return (stmt.hours !== null ? 'rt.serve(k, ' + stmt.hours + '); ' : '') + 'return k;';
+	}
+};
+
+// Functions called by compiled recipes
+// A kitchen is {bowls, dishes, diners, servedDishes, zero, input, random, limits}. ({zero} is 0 or a BigInt 0 in the BigInt mode)
+var compiledRuntime = {
+	undefinedIngredient : function (name)
+	{
+		throw new Error('Undefined ingredient => "' + name + '"');
+	},
+	defined : function (ingredient, name)
+	{
+		if (ingredient.value === undefined)
+		{
+			throw new Error('Undefined ingredient => "' + name + '"');
+		}
+		return ingredient;
+	},
+	missingRecipe : function (title)
+	{
+		throw new Error('Auxiliary recipe - ' + title + ' - is not found.');
+	},
+	bowl : function (k, index)
+	{
+		var mixingBowl = k.bowls[index];
+		if (!mixingBowl)
+		{
+			throw new Error('Specified mixing bowl[' + index + '] is empty.');
+		}
+		return mixingBowl;
+	},
+	put : function (k, index, ingredient)
+	{
+		if (!k.bowls[index])
+		{
+			k.bowls[index] = [];
+		}
+		k.bowls[index].push({value: ingredient.value, type: ingredient.type});
+	},
+	top : lookUpTopItem,
+	integer : checkInteger,
+	divide : divideInteger,
+	fold : function (ingredient, mixingBowl, index)
+	{
+		var obj = mixingBowl.pop();
+		if (obj === undefined)
+		{
+			throw emptyMixingBowlError(index);
+		}
+		ingredient.type = obj.type;
+		ingredient.value = obj.value;
+	},
+	// The initial value of an ingredient. ({digits} and the position of the ingredient)
+	number : function (k, ingredient)
+	{
+		return initialValue(ingredient, k.zero !== 0);
+	},
+	sumDry : function (k, ingredients, names)
+	{
+		var sum = k.zero;
+		for (var i = 0; i < ingredients.length; i++)
+		{
+			if (ingredients[i].type === 'dry')
+				sum = checkInteger(sum + compiledRuntime.defined(ingredients[i], names[i]).value);
+		}
+		return sum;
+	},
+	liquefyIngredient : function (ingredient)
+	{
+		checkLiquefiable(ingredient.value);
+		ingredient.type = 'liquid';
+	},
+	liquefy : liquefyContents,
+	stir : stirContents,
+	mix : mixContents,
+	pour : function (k, mixingBowl, index)
+	{
+		pourContents(mixingBowl, k.dishes, index);
+	},
+	// Create the kitchen of a sous-chef invoked at a position of a recipe, with copies of the mixing bowls and baking dishes.
+	// (The dishes it serves go to the same output. See addServedDish())
+	sousChefKitchen : function (k, recipeTitle, position)
+	{
+		k.limits.enterSousChef(recipeTitle, position);
+		return {
+			bowls: copyContainers(k.bowls),
+			dishes: copyContainers(k.dishes),
+			diners: k.diners,
+			servedDishes: k.servedDishes,
+			zero: k.zero,
+			input: k.input,
+			random: k.random,
+			limits: k.limits
+		};
+	},
+	// Receive the first mixing bowl of a sous-chef.
+	receive : function (k, sousChef)
+	{
+		var firstMixingBowl = sousChef.bowls[0] || [];
+		k.limits.leaveSousChef();
+		if (k.bowls[0] == undefined)
+			k.bowls[0] = [];
+		for (var i = 0; i < firstMixingBowl.length; i++)
+		{
+			k.bowls[0].push(copyItem(firstMixingBowl[i]));
+		}
+	},
+	// Serve the first dishes. (see prepareDishes())
+	serve : function (k, numberOfDiners)
+	{
+		serveDishes(k.dishes, numberOfDiners, function (served)
+		{
+			k.diners.push(served.text);
+			k.servedDishes.push(served);
+		});
+	},
+	// Add the position of the statement {s} to an error, as init() does.
+	// An error that has a position already comes from a sous-chef, and the "Serve with" statement goes to its call stack.
+	fail : function (e, positions, s)
+	{
+		if (e.code === 'limit-exceeded')
+		{
+			return e;
+		}
+		if (e.line !== undefined)
+		{
+			var serve = positions.statements[s];
+			e.callStack = [{recipe: positions.recipe, line: serve.line, column: serve.column}].concat(e.callStack || []);
+			return e;
+		}
+		if (s === -1)
+		{
+			return positionedError('Error occurred at line ' + positions.serves.line + ' in your recipe. : ' + e.message, positions.serves);
+		}
+		var position = positions.statements[s];
+		return positionedError('Error occurred at line ' + position.line + ' in your recipe. : '
+			+ 'Instruction => "' + position.text + '" : ' + e.message, position);
+	}
+};
+
+/* ----------------------------------------
+ * Parse a recipe
+ * This function takes the text of a recipe and returns a structured recipe without executing anything.
+ * The first recipe in the text is the main recipe, and the recipes that follow it are its auxiliary recipes.
+ * Syntax errors are reported as exceptions that carry the line and column at which they occurred,
+ * and the {endLine} and {endColumn} just past the line or statement that is wrong.
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) An object with the following property.
+ *     dialect: How closely the recipe must follow the specification of Chef. One of the following. ('default' if omitted)
+ *              'strict'   The specification as written. The title, the headings and "Serves" must end with periods,
+ *                         and a heading in the middle of a paragraph is an error. A sentence that doesn't start with
+ *                         a keyword must be a loop of declared ingredients ("Verb the ingredient."
+ *                         or "Verb [the ingredient] until verbed.").
+ *              'default'  The periods are optional, and other sentences of two or more words are loops.
+ *              'lenient'  The default dialect, and also: keywords, headings, measures and ingredient names
+ *                         are case-insensitive. Headings and "Serves" may start without a blank line before them
+ *                         and have extra spaces, and the title may be followed by text without a blank line.
+ *                         "the" may be added as in "from the refrigerator", "the contents of" and "Serve with the recipe".
+ * [return]
+ * A recipe object with the following properties.
+ *   title: The recipe title.
+ *   dialect: The name of the dialect the recipe was parsed in.
+ *   comments: An array of comment paragraphs.
+ *   ingredients: An array of {name, value, digits, measure, measureType, type, line, column, endLine, endColumn} objects.
+ *                {value} is the initial value as a number (or undefined), and {digits} is the same value as written,
+ *                from which the BigInt mode takes the exact value.
+ *   cookingTime: {amount, unit ('minutes' or 'hours'), line} or null.
+ *   ovenTemperature: {degrees, gasMark (or null), line} or null.
+ *   method: An array of statements. Each statement holds the name of the Chef method that executes it in {type},
+ *           its operands, and its {text}, {line} and {column}, and {endLine} and {endColumn} just past its last character.
+ *           A loop start holds the index of its matching end in {end}, and the end holds the index of the start in {start}.
+ *   serves: The number of diners, or null. (at {servesLine} and {servesColumn})
+ *   auxiliaryRecipes: An array of recipe objects. (empty except on the main recipe)
+ *   line, column: The position of the title.
+ * ----------------------------------------
+ */
+function parse(text, options)
+{
+	var dialectName = options && options.dialect !== undefined ? options.dialect : 'default';
+	var dialect = lookUpDialect(dialectName);
+	var paragraphs = splitHeadings(splitParagraphs(text), dialect);
+	if (paragraphs.length === 0)
+	{
+		throw syntaxError('The recipe is empty.', {line: 1, column: 1});
+	}
+
+	var state = {paragraphs: paragraphs, index: 0, dialect: dialect, dialectName: dialectName};
+	var mainRecipe = parseRecipe(state);
+	while (state.index < paragraphs.length)
+	{
+		mainRecipe.auxiliaryRecipes.push(parseRecipe(state));
+	}
+	if (dialect.ignoreCase || dialect.optionalArticles)
+	{
+		resolveServedRecipes(mainRecipe, dialect);
+	}
+	return mainRecipe;
+}
+
+// Dialects of the recipe syntax, keyed by name. (see parse())
+// Each is a set of flags that tell how the parser and "Serve with" deviate from the default one.
+var dialects = {
+	'strict' : {
+		periods: true,          // The title, the headings and "Serves" must end with periods.
+		blankLines: true,       // A heading in the middle of a paragraph is an error.
+		knownStatements: true,  // A sentence that doesn't start with a keyword must be a loop of declared ingredients.
+		ignoreCase: false,
+		flexibleWhitespace: false,
+		optionalArticles: false
+	},
+	'default' : {
+		periods: false,
+		blankLines: false,
+		knownStatements: false,
+		ignoreCase: false,
+		flexibleWhitespace: false,
+		optionalArticles: false
+	},
+	'lenient' : {
+		periods: false,
+		blankLines: false,
+		knownStatements: false,
+		ignoreCase: true,         // Keywords, headings, measures and ingredient names are case-insensitive.
+		flexibleWhitespace: true, // Headings start new paragraphs without blank lines, and may have extra spaces.
+		optionalArticles: true    // "the" may be added before "refrigerator", "contents" and the titles of recipes.
+	}
+};
+
+// Look up a dialect by its name. (The default dialect if the name is undefined, e.g. for recipes not made by parse().)
+function lookUpDialect(name)
+{
+	if (name === undefined)
+	{
+		return dialects['default'];
+	}
+	if (!Object.prototype.hasOwnProperty.call(dialects, name))
+	{
+		throw new Error('Unknown dialect => "' + name + '"');
+	}
+	return dialects[name];
+}
+
+// Return the key of a recipe title that "Serve with" looks up the auxiliary recipe by.
+// Titles are case-insensitive in every dialect, as in the examples of the specification. (e.g. "Serve with caramel sauce.")
+function recipeKey(title, dialect)
+{
+	var key = title.toLowerCase();
+	return dialect.optionalArticles ? key.replace(/^the /, '') : key;
+}
+
+// Replace the recipe names of "Serve with" statements with the titles of the recipes they invoke, if found.
+// (so that the recipe can be formatted and cooked in any dialect)
+function resolveServedRecipes(mainRecipe, dialect)
+{
+	var recipes = [mainRecipe].concat(mainRecipe.auxiliaryRecipes);
+	recipes.forEach(function (recipe)
+	{
+		recipe.method.forEach(function (stmt)
+		{
+			for (var i = 0; stmt.type === 'Serve' && i < mainRecipe.auxiliaryRecipes.length; i++)
+			{
+				var title = mainRecipe.auxiliaryRecipes[i].title;
+				if (recipeKey(title, dialect) === recipeKey(stmt.recipe, dialect))
+				{
+					stmt.recipe = title;
+					break;
+				}
+			}
+		});
+	});
+}
+
+// Parse a single recipe starting at the current paragraph, and advance the paragraph index past it.
+function parseRecipe(state)
+{
+	var paragraphs = state.paragraphs;
+	var dialect = state.dialect;
+	var titleParagraph = paragraphs[state.index++];
+	var titleLine = titleParagraph.lines[0];
+	recipeSections.forEach(function (section)
+	{
+		if (isSection(section, titleLine.text, dialect))
+		{
+			throw syntaxError('"' + section.name + '" must not appear here (a recipe title is expected.)', titleLine);
+		}
+	});
+	if (titleParagraph.lines.length > 1)
+	{
+		if (!dialect.flexibleWhitespace)
+		{
+			throw syntaxError('The recipe title must be followed by a blank line.', titleParagraph.lines[1]);
+		}
+		// The lines after the title begin the next paragraph.
+		paragraphs.splice(state.index, 0, {line: titleParagraph.lines[1].line, lines: titleParagraph.lines.slice(1)});
+	}
+	checkPeriod(titleLine, 'The recipe title', dialect);
+	var title = titleLine.text.replace(/\.$/, '').trim();
+
+	var recipe = {
+		title: dialect.flexibleWhitespace ? title.replace(/\s+/g, ' ') : title,
+		dialect: state.dialectName,
+		comments: [],
+		ingredients: [],
+		cookingTime: null,
+		ovenTemperature: null,
+		method: null,
+		serves: null,
+		auxiliaryRecipes: [],
+		line: titleParagraph.line,
+		column: titleParagraph.lines[0].column
+	};
+
+	// Read the comments and the sections up to and including the method.
+	var lastSection = -1;
+	while (recipe.method === null)
+	{
+		if (state.index >= paragraphs.length)
+		{
+			throw syntaxError('"Method" is missing in the recipe - ' + recipe.title + ' -.', titleParagraph.lines[0]);
+		}
+		var paragraph = paragraphs[state.index++];
+		var heading = paragraph.lines[0];
+		var section = -1;
+		for (var i = 0; i < recipeSections.length; i++)
+		{
+			if (isSection(recipeSections[i], heading.text, dialect))
+			{
+				section = i;
+				break;
+			}
+		}
+
+		if (section === -1)
+		{
+			if (lastSection !== -1)
+			{
+				// Only sections may follow the ingredient list.
+				throw syntaxError('Unknown line => "' + heading.text + '" ('
+					+ expectedSections(lastSection) + ' is expected.)', heading);
+			}
+			recipe.comments.push(paragraph.lines.map(function (line) { return line.text; }).join('\n'));
+		}
+		else if (section <= lastSection)
+		{
+			throw syntaxError('"' + recipeSections[section].name + '" must not appear here ('
+				+ expectedSections(lastSection) + ' is expected.)', heading);
+		}
+		else
+		{
+			recipeSections[section].parse(paragraph, recipe, dialect);
+			lastSection = section;
+		}
+	}
+
+	// The final statement in a Chef recipe is a statement of how many people it serves.
+	if (state.index < paragraphs.length && /^Serves\b/.test(paragraphs[state.index].lines[0].text))
+	{
+		var servesParagraph = paragraphs[state.index++];
+		var serves = /^Serves (\d+)\.?$/.exec(servesParagraph.lines[0].text);
+		if (serves && servesParagraph.lines.length > 1 && dialect.flexibleWhitespace)
+		{
+			// The lines after "Serves" begin the next recipe.
+			paragraphs.splice(state.index, 0, {line: servesParagraph.lines[1].line, lines: servesParagraph.lines.slice(1)});
+		}
+		else if (!serves || servesParagraph.lines.length > 1)
+		{
+			throw syntaxError('Invalid "Serves" statement => "' + servesParagraph.lines[0].text + '"', servesParagraph.lines[0]);
+		}
+		checkPeriod(servesParagraph.lines[0], '"Serves"', dialect);
+		recipe.serves = parseInt(serves[1]);
+		recipe.servesLine = servesParagraph.line;
+		recipe.servesColumn = servesParagraph.lines[0].column;
+	}
+
+	return recipe;
+}
+
+// Sections of a recipe that follow the comments, in the order they must appear.
+// Each identifies its heading with {pattern} and reads its paragraph into the recipe with {parse}.
+var recipeSections = [
+	{
+		// Ingredients.
+		name: 'Ingredients',
+		pattern: /^Ingredients\b/,
+		parse: function (paragraph, recipe, dialect)
+		{
+			if (!/^Ingredients\.?$/.test(paragraph.lines[0].text))
+			{
+				throw syntaxError('"Ingredients." must be on a line by itself.', paragraph.lines[0]);
+			}
+			checkPeriod(paragraph.lines[0], '"Ingredients"', dialect);
+			paragraph.lines.slice(1).forEach(function (line)
+			{
+				recipe.ingredients.push(parseIngredient(line, dialect));
+			});
+		}
+	},
+	{
+		// Cooking time: time (hour[s] | minute[s]).
+		name: 'Cooking time',
+		pattern: /^Cooking time\b/,
+		parse: function (paragraph, recipe, dialect)
+		{
+			var line = singleLineSection(paragraph, 'Cooking time');
+			checkPeriod(line, '"Cooking time"', dialect);
+			var time = /^Cooking time: (\d+) (hours?|minutes?)\.?$/.exec(line.text);
+			if (!time)
+			{
+				throw syntaxError('Invalid cooking time => "' + line.text
+					+ '" ("Cooking time: number minutes." or "Cooking time: number hours." is expected.)', line);
+			}
+			recipe.cookingTime = {amount: parseInt(time[1]), unit: /^hour/.test(time[2]) ? 'hours' : 'minutes', line: line.line};
+		}
+	},
+	{
+		// Pre-heat oven to temperature degrees Celsius [(gas mark mark)].
+		name: 'Pre-heat oven',
+		pattern: /^Pre-heat oven\b/,
+		parse: function (paragraph, recipe, dialect)
+		{
+			var line = singleLineSection(paragraph, 'Pre-heat oven');
+			checkPeriod(line, '"Pre-heat oven"', dialect);
+			var temperature = /^Pre-heat oven to (\d+) degrees Celsius(?: \(gas mark (\d+)\))?\.?$/.exec(line.text);
+			if (!temperature)
+			{
+				throw syntaxError('Invalid oven temperature => "' + line.text
+					+ '" ("Pre-heat oven to number degrees Celsius." optionally followed by "(gas mark number)" is expected.)', line);
+			}
+			recipe.ovenTemperature = {
+				degrees: parseInt(temperature[1]),
+				gasMark: temperature[2] !== undefined ? parseInt(temperature[2]) : null,
+				line: line.line
+			};
+		}
+	},
+	{
+		// Method.
+		name: 'Method',
+		pattern: /^Method\b/,
+		parse: function (paragraph, recipe, dialect)
+		{
+			var heading = dialect.ignoreCase ? /^method$/i : /^Method$/;
+			var sentences;
+			if (!dialect.periods && heading.test(paragraph.lines[0].text))
+			{
+				// "Method" on a line by itself needs no period, except in the strict dialect.
+				sentences = splitSentences({line: paragraph.line, lines: paragraph.lines.slice(1)});
+			}
+			else
+			{
+				sentences = splitSentences(paragraph);
+				if (!heading.test(sentences[0].text))
+				{
+					throw syntaxError('"Method" must be followed by a period.', sentences[0]);
+				}
+				sentences = sentences.slice(1);
+			}
+			recipe.method = sentences.map(function (sentence)
+			{
+				return parseStatement(sentence, recipe, dialect);
+			});
+			matchLoops(recipe.method);
+		}
+	}
+];
+
+// Describe the sections that may follow the {lastSection}th section.
+function expectedSections(lastSection)
+{
+	return recipeSections.slice(lastSection + 1).map(function (section)
+	{
+		return '"' + section.name + '"';
+	}).join(' or ');
+}
+
+// Check whether a line is the heading of a section. (case-insensitive in the lenient dialect)
+function isSection(section, text, dialect)
+{
+	return dialect.ignoreCase ? new RegExp(section.pattern.source, 'i').test(text) : section.pattern.test(text);
+}
+
+// Check the period at the end of the title, a heading or "Serves", which the strict dialect requires.
+function checkPeriod(line, name, dialect)
+{
+	if (dialect.periods && !/\.$/.test(line.text))
+	{
+		throw syntaxError(name + ' must end with a period.', line);
+	}
+}
+
+// Lines that can only be headings or "Serves", in their canonical form (see canonicalHeading())
+var headingLines = [/^Ingredients\.?$/, /^Cooking time: /, /^Pre-heat oven to /, /^Method\.?$/, /^Serves \d+\.?$/];
+
+// Return the canonical form of a line that may be a heading, with the case and the spaces of the headings in the specification.
+// (The lenient dialect ignores the case and extra spaces of headings. A heading has no words but keywords and numbers.)
+function canonicalHeading(text, dialect)
+{
+	if (dialect.flexibleWhitespace)
+	{
+		text = text.replace(/\s+/g, ' ').replace(/ \.$/, '.');
+	}
+	if (dialect.ignoreCase)
+	{
+		text = text.charAt(0).toUpperCase() + text.slice(1).toLowerCase().replace(/\bcelsius\b/, 'Celsius');
+	}
+	return text;
+}
+
+// Find the headings in the middle of paragraphs. The lenient dialect starts a new paragraph at each of them
+// (and writes them in the canonical form), the strict dialect rejects them, and the default one leaves them as they are.
+function splitHeadings(paragraphs, dialect)
+{
+	var split = [];
+	paragraphs.forEach(function (paragraph)
+	{
+		var current = null;
+		paragraph.lines.forEach(function (line, i)
+		{
+			var text = canonicalHeading(line.text, dialect);
+			var heading = headingLines.some(function (pattern)
+			{
+				return pattern.test(text);
+			});
+			if (heading)
+			{
+				line.text = text;
+				if (i > 0 && dialect.blankLines)
+				{
+					throw syntaxError('"' + text + '" must be preceded by a blank line.', line);
+				}
+			}
+			if (current === null || (heading && dialect.flexibleWhitespace))
+			{
+				current = {line: line.line, lines: []};
+				split.push(current);
+			}
+			current.lines.push(line);
+		});
+	});
+	return split;
+}
+
+// Return the only line of a section that must be a single line.
+function singleLineSection(paragraph, name)
+{
+	if (paragraph.lines.length > 1)
+	{
+		throw syntaxError('"' + name + '" must be followed by a blank line.', paragraph.lines[1]);
+	}
+	return paragraph.lines[0];
+}
+
+// Decode a line of the ingredient list.
+function parseIngredient(line, dialect)
+{
+	try
+	{
+		var obj = decodeIngredient(line.text.replace(/\.$/, ''), dialect.ignoreCase);
+	}
+	catch (e)
+	{
+		throw syntaxError(e.message, line);
+	}
+	obj.line = line.line;
+	obj.column = line.column;
+	obj.endLine = line.endLine;
+	obj.endColumn = line.endColumn;
+	return obj;
+}
+
+// Split a text into paragraphs, i.e. runs of non-blank lines.
+// Each paragraph holds the number of its first line and its lines as {text, line, column}. (text is trimmed)
+function splitParagraphs(text)
+{
+	var paragraphs = [];
+	var paragraph = null;
+	text.split(/\r\n|\r|\n/).forEach(function (rawLine, i)
+	{
+		var line = rawLine.trim();
+		if (line === '')
+		{
+			paragraph = null;
+			return;
+		}
+		if (paragraph === null)
+		{
+			paragraph = {line: i + 1, lines: []};
+			paragraphs.push(paragraph);
+		}
+		var column = rawLine.indexOf(line) + 1;
+		paragraph.lines.push({text: line, line: i + 1, column: column, endLine: i + 1, endColumn: column + line.length});
+	});
+	return paragraphs;
+}
+
+// Split a paragraph into sentences terminated by periods. Line breaks are treated as spaces.
+// Each sentence holds its text with whitespace collapsed, the line and column at which it starts,
+// and the {endLine} and {endColumn} just past its last character. (the period excluded)
+function splitSentences(paragraph)
+{
+	var sentences = [];
+	var sentence = null;
+	paragraph.lines.forEach(function (line)
+	{
+		for (var i = 0; i < line.text.length; i++)
+		{
+			var c = line.text.charAt(i);
+			if (c === '.')
+			{
+				if (sentence !== null)
+				{
+					sentences.push(sentence);
+					sentence = null;
+				}
+			}
+			else if (sentence === null)
+			{
+				if (!/\s/.test(c))
+				{
+					sentence = {text: c, line: line.line, column: line.column + i, endLine: line.line, endColumn: line.column + i + 1};
+				}
+			}
+			else
+			{
+				sentence.text += c;
+				if (!/\s/.test(c))
+				{
+					sentence.endLine = line.line;
+					sentence.endColumn = line.column + i + 1;
+				}
+			}
+		}
+		if (sentence !== null)
+		{
+			sentence.text += ' ';
+		}
+	});
+	if (sentence !== null)
+	{
+		sentences.push(sentence);
+	}
+	sentences.forEach(function (sentence)
+	{
+		sentence.text = sentence.text.replace(/\s+/g, ' ').trim();
+	});
+	return sentences;
+}
+
+// Parse a method sentence of a recipe into a statement. (The ingredient list of the recipe has been parsed.)
+function parseStatement(sentence, recipe, dialect)
+{
+	var words = normalizeWords(sentence.text.split(' '), dialect);
+	// (Only the parsers' own keys are keywords, not "toString" and the like.)
+	var parser = Object.prototype.hasOwnProperty.call(statementParsers, words[0]) ? statementParsers[words[0]] : statementParsers.Verb;
+	var stmt = parser(words);
+	if (stmt === false && words[words.length - 2] === 'until')
+	{
+		// The verb of a loop end is arbitrary. (e.g. "Stir the flour until sifted.")
+		stmt = statementParsers.Verb(words);
+	}
+	if (stmt === false)
+	{
+		throw syntaxError('Invalid statement => "' + sentence.text + '"', sentence);
+	}
+
+	// Ingredient names are case-insensitive in the lenient dialect, so use the declared ones.
+	var declared = function (name)
+	{
+		return recipe.ingredients.filter(function (ingredient)
+		{
+			return dialect.ignoreCase ? ingredient.name.toLowerCase() === name.toLowerCase() : ingredient.name === name;
+		})[0];
+	};
+	if (typeof stmt.ingredient === 'string' && dialect.ignoreCase && declared(stmt.ingredient))
+	{
+		stmt.ingredient = declared(stmt.ingredient).name;
+	}
+
+	// Any other sentence would be taken as a loop, so the strict dialect only takes the loops of the specification.
+	if (dialect.knownStatements && stmt.type === 'Verb' && !declared(stmt.ingredient))
+	{
+		throw syntaxError('Unknown statement => "' + sentence.text
+			+ '" (A loop must start with "Verb the ingredient." of a declared ingredient.)', sentence, 'unknown-statement');
+	}
+	if (dialect.knownStatements && stmt.type === 'Until' && stmt.ingredient !== null && !declared(stmt.ingredient))
+	{
+		throw syntaxError('Unknown statement => "' + sentence.text
+			+ '" (A loop must end with "Verb [the ingredient] until verbed." of a declared ingredient.)', sentence, 'unknown-statement');
+	}
+	stmt.text = sentence.text;
+	stmt.line = sentence.line;
+	stmt.column = sentence.column;
+	stmt.endLine = sentence.endLine;
+	stmt.endColumn = sentence.endColumn;
+	return stmt;
+}
+
+// Words of statements that are keywords rather than parts of names
+var statementKeywords = ['from', 'refrigerator', 'into', 'to', 'contents', 'of', 'the', 'mixing', 'bowl', 'baking', 'dish',
+	'well', 'for', 'minute', 'minutes', 'hour', 'hours', 'until', 'with', 'aside', 'dry', 'ingredients'];
+
+// Normalize the words of a sentence for the lenient dialect: keywords and ordinals are written in the canonical case
+// (e.g. "PUT" => "Put", "2ND" => "2nd"), and "the" is dropped before "refrigerator" and "contents".
+function normalizeWords(words, dialect)
+{
+	if (dialect.ignoreCase)
+	{
+		words = words.map(function (word, i)
+		{
+			var keyword = word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+			if (i === 0 && keyword !== 'Verb' && Object.prototype.hasOwnProperty.call(statementParsers, keyword))
+			{
+				return keyword;
+			}
+			var lower = word.toLowerCase();
+			return i > 0 && (statementKeywords.indexOf(lower) !== -1 || extractNumber(lower) !== false) ? lower : word;
+		});
+	}
+	if (dialect.optionalArticles)
+	{
+		words = words.filter(function (word, i)
+		{
+			return !(i > 0 && word === 'the' && (words[i + 1] === 'refrigerator' || words[i + 1] === 'contents'));
+		});
+	}
+	return words;
+}
+
+// Parsers of method statements, keyed by the first word of the sentence.
+// Each takes the words of a sentence and returns a statement, or false if the sentence is malformed.
+// The type of a statement is the name of the Chef method in init() that executes it.
+var statementParsers = {
+
+	// Take ingredient from refrigerator.
+	Take : function (words)
+	{
+		if (words.length < 4 || words[words.length - 2] !== 'from' || words[words.length - 1] !== 'refrigerator')
+		{
+			return false;
+		}
+		return {type: 'Take', ingredient: extractIngredientName(words, 1, words.length - 2)};
+	},
+
+	// Put ingredient into [nth] mixing bowl.
+	Put : function (words)
+	{
+		return parseIngredientAndMixingBowl(words, 'into', true);
+	},
+
+	// Fold ingredient into [nth] mixing bowl.
+	Fold : function (words)
+	{
+		return parseIngredientAndMixingBowl(words, 'into', true);
+	},
+
+	// Add ingredient [to [nth] mixing bowl]. / Add dry ingredients [to [nth] mixing bowl].
+	Add : function (words)
+	{
+		var stmt = parseIngredientAndMixingBowl(words, 'to', false);
+		if (stmt)
+		{
+			stmt.dry = stmt.ingredient === 'dry ingredients';
+			if (stmt.dry)
+			{
+				stmt.ingredient = null;
+			}
+		}
+		return stmt;
+	},
+
+	// Remove ingredient [from [nth] mixing bowl].
+	Remove : function (words)
+	{
+		return parseIngredientAndMixingBowl(words, 'from', false);
+	},
+
+	// Combine ingredient [into [nth] mixing bowl].
+	Combine : function (words)
+	{
+		return parseIngredientAndMixingBowl(words, 'into', false);
+	},
+
+	// Divide ingredient [into [nth] mixing bowl].
+	Divide : function (words)
+	{
+		return parseIngredientAndMixingBowl(words, 'into', false);
+	},
+
+	// Liquefy ingredient. / Liquefy contents of the [nth] mixing bowl.
+	Liquefy : function (words)
+	{
+		if (words[1] === 'contents' && words[2] === 'of')
+		{
+			var bowl = extractContainerIndex(words.slice(3), 'mixing bowl');
+			return bowl === false ? false : {type: 'Liquefy', contents: true, ingredient: null, bowl: bowl};
+		}
+		if (words.length < 2)
+		{
+			return false;
+		}
+		return {type: 'Liquefy', contents: false, ingredient: extractIngredientName(words, 1), bowl: null};
+	},
+
+	// Stir [the [nth] mixing bowl] for number minutes. / Stir ingredient into the [nth] mixing bowl.
+	Stir : function (words)
+	{
+		if (words.lastIndexOf('into') !== -1)
+		{
+			var stmt = parseIngredientAndMixingBowl(words, 'into', true);
+			if (stmt)
+			{
+				stmt.minutes = null;
+			}
+			return stmt;
+		}
+		var minutes = parseNumber(words[words.length - 2]);
+		if (words.length < 4 || words[words.length - 3] !== 'for' || minutes === false
+			|| !/^minutes?$/.test(words[words.length - 1]))
+		{
+			return false;
+		}
+		var bowl = words.length > 4 ? extractContainerIndex(words.slice(1, -3), 'mixing bowl') : 0;
+		return bowl === false ? false : {type: 'Stir', ingredient: null, minutes: minutes, bowl: bowl};
+	},
+
+	// Mix [the [nth] mixing bowl] well.
+	Mix : function (words)
+	{
+		if (words[words.length - 1] !== 'well')
+		{
+			return false;
+		}
+		var bowl = words.length > 2 ? extractContainerIndex(words.slice(1, -1), 'mixing bowl') : 0;
+		return bowl === false ? false : {type: 'Mix', bowl: bowl};
+	},
+
+	// Clean [nth] mixing bowl.
+	Clean : function (words)
+	{
+		var bowl = extractContainerIndex(words.slice(1), 'mixing bowl');
+		return bowl === false ? false : {type: 'Clean', bowl: bowl};
+	},
+
+	// Pour contents of the [nth] mixing bowl into the [pth] baking dish.
+	Pour : function (words)
+	{
+		var into = words.indexOf('into');
+		if (words[1] !== 'contents' || words[2] !== 'of' || into === -1)
+		{
+			return false;
+		}
+		var bowl = extractContainerIndex(words.slice(3, into), 'mixing bowl');
+		var dish = extractContainerIndex(words.slice(into + 1), 'baking dish');
+		return bowl === false || dish === false ? false : {type: 'Pour', bowl: bowl, dish: dish};
+	},
+
+	// Set aside.
+	Set : function (words)
+	{
+		return words.length === 2 && words[1] === 'aside' ? {type: 'Set'} : false;
+	},
+
+	// Serve with auxiliary-recipe.
+	Serve : function (words)
+	{
+		return words.length > 2 && words[1] === 'with' ? {type: 'Serve', recipe: words.slice(2).join(' ')} : false;
+	},
+
+	// Refrigerate [for number hours].
+	Refrigerate : function (words)
+	{
+		if (words.length === 1)
+		{
+			return {type: 'Refrigerate', hours: null};
+		}
+		var hours = parseNumber(words[2]);
+		if (words.length !== 4 || words[1] !== 'for' || hours === false || !/^hours?$/.test(words[3]))
+		{
+			return false;
+		}
+		return {type: 'Refrigerate', hours: hours};
+	},
+
+	// Verb the ingredient. / Verb [the ingredient] until verbed.
+	Verb : function (words)
+	{
+		var until = words.lastIndexOf('until');
+		if (until !== -1)
+		{
+			if (until !== words.length - 2)
+			{
+				return false;
+			}
+			var ingredient = until > 1 ? extractIngredientName(words, 1, until) : null;
+			return {type: 'Until', verb: words[0], ingredient: ingredient, verbed: words[until + 1]};
+		}
+		if (words.length < 2)
+		{
+			return false;
+		}
+		return {type: 'Verb', verb: words[0], ingredient: extractIngredientName(words, 1)};
+	}
+};
+
+// Pair each loop start ("Verb the ingredient") with its end ("Verb [the ingredient] until verbed").
+// The start gets the index of its end in {end}, and the end gets the index of its start in {start}.
+function matchLoops(method)
+{
+	var openLoops = [];
+	method.forEach(function (stmt, i)
+	{
+		if (stmt.type === 'Verb')
+		{
+			openLoops.push(i);
+		}
+		else if (stmt.type === 'Until')
+		{
+			if (openLoops.length === 0)
+			{
+				throw syntaxError('"' + stmt.text + '" at line ' + stmt.line + ' ends a loop that is never started.', stmt, 'unmatched-loop');
+			}
+			var innermost = method[openLoops[openLoops.length - 1]];
+			if (!isPastTenseOf(stmt.verbed, innermost.verb))
+			{
+				for (var j = openLoops.length - 2; j >= 0; j--)
+				{
+					var outer = method[openLoops[j]];
+					if (isPastTenseOf(stmt.verbed, outer.verb))
+					{
+						throw syntaxError('Loops are crossed => "' + stmt.text + '" at line ' + stmt.line
+							+ ' ends the loop started at line ' + outer.line + ' ("' + outer.text
+							+ '") before the loop started at line ' + innermost.line + ' ("' + innermost.text + '") ends.', stmt, 'crossed-loops');
+					}
+				}
+				throw syntaxError('Unmatched loop => "' + stmt.text + '" at line ' + stmt.line
+					+ ' does not match the loop started at line ' + innermost.line + ' ("' + innermost.text
+					+ '"). "until ' + pastTense(innermost.verb) + '" is expected.', stmt, 'unmatched-loop');
+			}
+			openLoops.pop();
+			innermost.end = i;
+			stmt.start = method.indexOf(innermost);
+		}
+	});
+	if (openLoops.length > 0)
+	{
+		var unclosed = method[openLoops[openLoops.length - 1]];
+		throw syntaxError('Unmatched loop => The loop started at line ' + unclosed.line + ' ("' + unclosed.text
+			+ '") is never ended. "until ' + pastTense(unclosed.verb) + '" is expected.', unclosed, 'unmatched-loop');
+	}
+}
+
+// Past participles that don't follow the regular rules.
+var irregularVerbs = {
+	beat: 'beaten', bring: 'brought', break: 'broken', build: 'built', cut: 'cut', draw: 'drawn', eat: 'eaten',
+	fall: 'fallen', feed: 'fed', freeze: 'frozen', give: 'given', grind: 'ground', grow: 'grown', hang: 'hung',
+	hold: 'held', keep: 'kept', leave: 'left', let: 'let', make: 'made', put: 'put', rise: 'risen', shake: 'shaken',
+	shed: 'shed', sink: 'sunk', slit: 'slit', spin: 'spun', split: 'split', spread: 'spread', stick: 'stuck',
+	sting: 'stung', swing: 'swung', take: 'taken', tear: 'torn', throw: 'thrown', wind: 'wound'
+};
+
+// Return the past participle of a verb. (e.g. "Sift" => "sifted", "Stir" => "stirred")
+function pastTense(verb)
+{
+	verb = verb.toLowerCase();
+	if (Object.prototype.hasOwnProperty.call(irregularVerbs, verb))
+	{
+		return irregularVerbs[verb];
+	}
+	if (/e$/.test(verb))
+	{
+		return verb + 'd';
+	}
+	if (/[^aeiou]y$/.test(verb))
+	{
+		return verb.slice(0, -1) + 'ied';
+	}
+	if (/c$/.test(verb))
+	{
+		return verb + 'ked';
+	}
+	if (/^[^aeiou]*[aeiou][^aeiouwxy]$/.test(verb))
+	{
+		// Double the final consonant of a single syllable verb. (e.g. "stir", "chop")
+		return verb + verb.slice(-1) + 'ed';
+	}
+	return verb + 'ed';
+}
+
+// Check whether {verbed} is the past tense of {verb}.
+// The plain "-ed" form is accepted as well. (e.g. "Shake" => "shaken" or "shaked")
+function isPastTenseOf(verbed, verb)
+{
+	verbed = verbed.toLowerCase();
+	return verbed === pastTense(verb) || verbed === verb.toLowerCase().replace(/e$/, '') + 'ed';
+}
+
+// Parse "Keyword ingredient separator [the] [nth] mixing bowl". The part from the separator may be optional.
+function parseIngredientAndMixingBowl(words, separator, bowlRequired)
+{
+	var end = words.lastIndexOf(separator);
+	var bowl = 0;
+	if (end !== -1)
+	{
+		bowl = extractContainerIndex(words.slice(end + 1), 'mixing bowl');
+	}
+	else if (bowlRequired)
+	{
+		return false;
+	}
+	else
+	{
+		end = words.length;
+	}
+	if (bowl === false || end < 2)
+	{
+		return false;
+	}
+	return {type: words[0], ingredient: extractIngredientName(words, 1, end), bowl: bowl};
+}
+
+// Measures of ingredients and the type of the values they hold.
+// "either" measures may hold dry or liquid values, and they are dry unless liquefied.
+var measures = {
+	g: 'dry', kg: 'dry', pinch: 'dry', pinches: 'dry',
+	ml: 'liquid', l: 'liquid', dash: 'liquid', dashes: 'liquid',
+	cup: 'either', cups: 'either', teaspoon: 'either', teaspoons: 'either', tablespoon: 'either', tablespoons: 'either'
+};
+
+// Whether a word is one of the measures. (not "constructor" or another property every object has)
+function isMeasure(word)
+{
+	return Object.prototype.hasOwnProperty.call(measures, word);
+}
+
+// Measure types. These indicate that the measure is dry.
+var measureTypes = ['heaped', 'level'];
+
+// Decode an ingredient: {[initial-value] [[measure-type] measure] ingredient-name}
+// A measure or a measure type is only taken as such if an ingredient name follows it,
+// so that ingredients such as "3 cups" (named "cups") can be declared.
+// With {ignoreCase}, measures and measure types are case-insensitive. (for the lenient dialect)
+function decodeIngredient(line, ignoreCase)
+{
+	var items = line.trim().split(/\s+/);
+	var keywords = ignoreCase ? items.map(function (item) { return item.toLowerCase(); }) : items;
+	var obj = {name: '', value: undefined, digits: undefined, measure: null, measureType: null, type: 'dry'};
+	if (items[0] === '')
+	{
+		throw new Error('Invalid ingredient => The ingredient is empty.');
+	}
+
+	// Initial value
+	var start = 0;
+	if (/^-?\d+$/.test(items[0]))
+	{
+		obj.value = parseInt(items[0]);
+		obj.digits = items[0];
+		start++;
+	}
+	else if (/^[-+]?(\d+\.\d*|\.\d+|\d+\/\d+)$/.test(items[0]))
+	{
+		throw new Error('Invalid ingredient => The initial value "' + items[0] + '" must be an integer. : "' + line + '"');
+	}
+	if (start === items.length)
+	{
+		throw new Error('Invalid ingredient => The ingredient name is missing. : "' + line + '"');
+	}
+
+	// Measure type
+	if (measureTypes.indexOf(keywords[start]) !== -1 && items.length - start > 1)
+	{
+		var measure = keywords[start + 1];
+		if (!isMeasure(measure) || items.length - start < 3)
+		{
+			throw new Error('Invalid ingredient => The measure type "' + items[start] + '" must be followed by a measure and an ingredient name. : "' + line + '"');
+		}
+		if (measures[measure] === 'liquid')
+		{
+			throw new Error('Invalid ingredient => The measure type "' + items[start] + '" cannot be used with the liquid measure "' + measure + '". : "' + line + '"');
+		}
+		obj.measureType = keywords[start];
+		start++;
+	}
+
+	// Measure
+	if (isMeasure(keywords[start]) && items.length - start > 1)
+	{
+		obj.measure = keywords[start];
+		if (measures[obj.measure] === 'liquid')
+		{
+			obj.type = 'liquid';
+		}
+		start++;
+	}
+
+	obj.name = items.slice(start).join(' ');
+	return obj;
+}
+
+/* ----------------------------------------
+ * Check a recipe without running it
+ * This function parses the text of a recipe and looks for mistakes that would otherwise only show up while cooking.
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) The options of parse(). (e.g. {dialect: 'strict'})
+ * [return]
+ * An array of diagnostics sorted by position. Each diagnostic is an object with the following properties.
+ *   severity: 'error' (the recipe fails if the statement is executed) or 'warning'.
+ *   code: A string that identifies the kind of the diagnostic. (e.g. 'undefined-ingredient')
+ *   message: A description of the problem.
+ *   line, column: The position in the recipe the diagnostic refers to.
+ *   endLine, endColumn: The position just past the end of the statement or line it refers to. (omitted if unknown)
+ * ----------------------------------------
+ */
+function lint(text, options)
+{
+	var diagnostics = [];
+	var report = function (severity, code, message, position)
+	{
+		var diagnostic = {severity: severity, code: code, message: message, line: position.line, column: position.column};
+		if (position.endLine !== undefined)
+		{
+			diagnostic.endLine = position.endLine;
+			diagnostic.endColumn = position.endColumn;
+		}
+		diagnostics.push(diagnostic);
+	};
+
+	// Syntax errors (including unmatched loops) stop the parser, so only the first one is reported.
+	var mainRecipe;
+	try
+	{
+		mainRecipe = parse(text, options);
+	}
+	catch (e)
+	{
+		if (e.code === undefined)
+		{
+			throw e;
+		}
+		report('error', e.code, e.reason, e);
+		return diagnostics;
+	}
+	var recipes = [mainRecipe].concat(mainRecipe.auxiliaryRecipes);
+	var dialect = lookUpDialect(mainRecipe.dialect);
+
+	// Recipe titles (keyed as "Serve with" looks them up)
+	var titles = Object.create(null);
+	recipes.forEach(function (recipe)
+	{
+		var key = recipeKey(recipe.title, dialect);
+		if (key in titles)
+		{
+			report('error', 'duplicate-recipe-title', 'The recipe title "' + recipe.title + '" is already used at line '
+				+ titles[key].line + '.', recipe);
+		}
+		else
+		{
+			titles[key] = recipe;
+		}
+	});
+
+	// Collect the mixing bowls and baking dishes that each recipe fills.
+	// A sous-chef starts with copies of the calling chef's mixing bowls and baking dishes.
+	var usage = recipes.map(function (recipe)
+	{
+		var filled = {bowls: [], dishes: []};
+		recipe.method.forEach(function (stmt)
+		{
+			if (fillsMixingBowl(stmt) || stmt.type === 'Serve')
+			{
+				filled.bowls[stmt.bowl || 0] = true;
+			}
+			else if (stmt.type === 'Pour')
+			{
+				filled.dishes[stmt.dish] = true;
+			}
+		});
+		return filled;
+	});
+	var changed = true;
+	while (changed)
+	{
+		changed = false;
+		recipes.forEach(function (recipe, i)
+		{
+			recipe.method.forEach(function (stmt)
+			{
+				var callee = stmt.type === 'Serve' ? titles[recipeKey(stmt.recipe, dialect)] : undefined;
+				if (callee === undefined || callee === mainRecipe)
+				{
+					return;
+				}
+				var target = usage[recipes.indexOf(callee)];
+				['bowls', 'dishes'].forEach(function (kind)
+				{
+					usage[i][kind].forEach(function (filled, index)
+					{
+						if (filled && !target[kind][index])
+						{
+							target[kind][index] = true;
+							changed = true;
+						}
+					});
+				});
+			});
+		});
+	}
+
+	recipes.forEach(function (recipe, i)
+	{
+		lintRecipe(recipe, usage[i], titles, report);
+	});
+
+	diagnostics.sort(function (a, b)
+	{
+		return a.line - b.line || a.column - b.column;
+	});
+	return diagnostics;
+}
+
+// Check the ingredients, mixing bowls, baking dishes and auxiliary recipes used by a recipe.
+function lintRecipe(recipe, filled, titles, report)
+{
+	var declared = Object.create(null);
+	var used = Object.create(null);
+	var assigned = Object.create(null);
+	var dryIngredientsUsed = false;
+	recipe.ingredients.forEach(function (ingredient)
+	{
+		if (ingredient.name in declared)
+		{
+			report('warning', 'duplicate-ingredient', 'The ingredient "' + ingredient.name + '" is already declared at line '
+				+ declared[ingredient.name].line + '. This declaration overrides it.', ingredient);
+		}
+		declared[ingredient.name] = ingredient;
+	});
+
+	var loopDepth = 0;
+	recipe.method.forEach(function (stmt)
+	{
+		// Ingredients
+		if (stmt.ingredient)
+		{
+			if (!(stmt.ingredient in declared))
+			{
+				report('error', 'undefined-ingredient', 'The ingredient "' + stmt.ingredient + '" is not in the ingredient list.', stmt);
+			}
+			else if (!(stmt.ingredient in used))
+			{
+				used[stmt.ingredient] = stmt;
+			}
+			if (stmt.type === 'Take' || stmt.type === 'Fold')
+			{
+				assigned[stmt.ingredient] = true;
+			}
+		}
+		if (stmt.dry)
+		{
+			dryIngredientsUsed = true;
+		}
+
+		// Mixing bowls
+		if (stmt.bowl !== undefined && stmt.bowl !== null && !filled.bowls[stmt.bowl] && !fillsMixingBowl(stmt))
+		{
+			report('error', 'empty-mixing-bowl', 'The ' + ordinal(stmt.bowl + 1) + ' mixing bowl is never filled.', stmt);
+		}
+
+		// Auxiliary recipes
+		if (stmt.type === 'Serve' && !(recipeKey(stmt.recipe, lookUpDialect(recipe.dialect)) in titles))
+		{
+			report('error', 'missing-auxiliary-recipe', 'The auxiliary recipe "' + stmt.recipe + '" is not found.', stmt);
+		}
+
+		// Loops
+		if (stmt.type === 'Verb')
+		{
+			loopDepth++;
+		}
+		else if (stmt.type === 'Until')
+		{
+			loopDepth--;
+		}
+		else if (stmt.type === 'Set' && loopDepth === 0)
+		{
+			report('warning', 'set-aside-outside-loop', '"Set aside" has no effect outside of a loop.', stmt);
+		}
+
+		// Baking dishes
+		if (stmt.type === 'Refrigerate' && stmt.hours !== null)
+		{
+			lintDishes(stmt.hours, 'Refrigerate for ' + stmt.hours + ' hours', filled, stmt, report);
+		}
+	});
+	if (recipe.serves !== null)
+	{
+		lintDishes(recipe.serves, 'Serves ' + recipe.serves, filled, {line: recipe.servesLine, column: recipe.servesColumn}, report);
+	}
+
+	recipe.ingredients.forEach(function (ingredient)
+	{
+		if (declared[ingredient.name] !== ingredient)
+		{
+			return;
+		}
+		if (!(ingredient.name in used) && !(dryIngredientsUsed && ingredient.type === 'dry'))
+		{
+			report('warning', 'unused-ingredient', 'The ingredient "' + ingredient.name + '" is never used.', ingredient);
+		}
+		else if (ingredient.value === undefined && ingredient.name in used && !(ingredient.name in assigned))
+		{
+			report('error', 'uninitialized-ingredient', 'The ingredient "' + ingredient.name
+				+ '" has no initial value and is never taken from the refrigerator or folded.', used[ingredient.name]);
+		}
+	});
+}
+
+// Whether a statement leaves its mixing bowl ready to use even if it was never filled.
+// (Put and "Add dry ingredients" place an item into it, and Clean empties it.)
+function fillsMixingBowl(stmt)
+{
+	return stmt.type === 'Put' || stmt.type === 'Clean' || (stmt.type === 'Add' && stmt.dry === true);
+}
+
+// Check that the first {count} baking dishes are filled before they are served.
+function lintDishes(count, statement, filled, position, report)
+{
+	var filledCount = filled.dishes.length;
+	if (count > filledCount)
+	{
+		report('error', 'not-enough-dishes', '"' + statement + '" asks for ' + count + ' dishes, but '
+			+ (filledCount === 0 ? 'no baking dish is ever filled.' : 'no baking dish after the ' + ordinal(filledCount) + ' is ever filled.'),
+			position);
+	}
+	for (var i = 0; i < Math.min(count, filledCount); i++)
+	{
+		if (!filled.dishes[i])
+		{
+			report('error', 'empty-baking-dish', '"' + statement + '" serves the ' + ordinal(i + 1)
+				+ ' baking dish, which is never filled.', position);
+		}
+	}
+}
+
+// Convert a number into an ordinal. (e.g. 2 => "2nd")
+function ordinal(number)
+{
+	var suffix = 'th';
+	if (Math.floor(number / 10) % 10 !== 1)
+	{
+		suffix = ['th', 'st', 'nd', 'rd'][number % 10] || 'th';
+	}
+	return number + suffix;
+}
+
+/* ----------------------------------------
+ * Highlight a recipe
+ * This function splits the text of a recipe into tokens for syntax highlighting.
+ * Unlike parse(), it never throws: the parts of a malformed recipe that can't be recognized are just left out.
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) The {dialect} option of parse(), which tells how headings, keywords and ingredient names are recognized.
+ *            (An unknown dialect is taken as the default one.)
+ * [return]
+ * An array of tokens in the order they appear. Each token is an object with the following properties.
+ *   type: 'title', 'comment', 'heading', 'number', 'measure', 'ingredient', 'verb', 'ordinal' or 'container'.
+ *         (A container is "mixing bowl" or "baking dish". The title of the recipe invoked by "Serve with" is a 'title'.)
+ *   line, column: The position of the first character.
+ *   length: The number of characters. A token never spans lines.
+ *   name: (ingredient tokens only) The name of the ingredient as declared, which the kitchen is keyed by.
+ * ----------------------------------------
+ */
+function highlight(text, options)
+{
+	var name = options && options.dialect;
+	var dialect = Object.prototype.hasOwnProperty.call(dialects, name) ? dialects[name] : dialects['default'];
+	var tokens = [];
+	var add = function (type, word)
+	{
+		var token = {type: type, line: word.line, column: word.column, length: word.length || word.text.length};
+		if (type === 'ingredient')
+		{
+			token.name = word.name;
+		}
+		tokens.push(token);
+	};
+	var expectTitle = true;
+	var inRecipe = false;
+	var ingredientNames = [];
+
+	highlightedParagraphs(text, dialect).forEach(function (paragraph)
+	{
+		var heading = paragraph.lines[0];
+		var headingText = canonicalHeading(heading.text, dialect);
+		var section = null;
+		recipeSections.forEach(function (candidate)
+		{
+			if (section === null && isSection(candidate, headingText, dialect))
+			{
+				section = candidate.name;
+			}
+		});
+
+		if (/^Serves\b/.test(headingText))
+		{
+			highlightWords(heading, add, function (word, i)
+			{
+				return i === 0 ? 'heading' : /^\d+$/.test(word.text) ? 'number' : null;
+			});
+			expectTitle = true;
+		}
+		else if (section === null && (expectTitle || !inRecipe))
+		{
+			// A recipe title (and anything that wrongly follows it in the same paragraph, or the comments that may in the lenient dialect)
+			paragraph.lines.forEach(function (line, i)
+			{
+				add(i > 0 && dialect.flexibleWhitespace ? 'comment' : 'title', line);
+			});
+			expectTitle = false;
+			inRecipe = true;
+			ingredientNames = [];
+		}
+		else if (section === null)
+		{
+			paragraph.lines.forEach(function (line)
+			{
+				add('comment', line);
+			});
+		}
+		else if (section === 'Ingredients')
+		{
+			add('heading', {text: 'Ingredients', line: heading.line, column: heading.column});
+			paragraph.lines.slice(1).forEach(function (line)
+			{
+				highlightIngredient(line, add, ingredientNames, dialect);
+			});
+		}
+		else if (section === 'Method')
+		{
+			add('heading', {text: 'Method', line: heading.line, column: heading.column});
+			highlightMethod(paragraph, add, ingredientNames, dialect);
+			expectTitle = true;
+		}
+		else
+		{
+			// Cooking time or Pre-heat oven
+			add('heading', {text: section, line: heading.line, column: heading.column});
+			highlightWords(heading, add, function (word)
+			{
+				return /^\d+$/.test(word.text) ? 'number' : null;
+			});
+		}
+	});
+	return tokens;
+}
+
+// Split a text into paragraphs as parse() does, but without rewriting the headings or throwing.
+// (The lenient dialect starts a new paragraph at each heading, and after "Serves". See splitHeadings() and parseRecipe().)
+function highlightedParagraphs(text, dialect)
+{
+	var split = [];
+	splitParagraphs(text).forEach(function (paragraph)
+	{
+		var current = null;
+		var afterServes = false;
+		paragraph.lines.forEach(function (line)
+		{
+			var headingText = canonicalHeading(line.text, dialect);
+			var heading = dialect.flexibleWhitespace && headingLines.some(function (pattern)
+			{
+				return pattern.test(headingText);
+			});
+			if (current === null || heading || afterServes)
+			{
+				current = {line: line.line, lines: []};
+				split.push(current);
+			}
+			current.lines.push(line);
+			afterServes = heading && /^Serves\b/.test(headingText);
+		});
+	});
+	return split;
+}
+
+// Split the lines into words with their positions. (Periods and parentheses are not part of words.)
+function splitWords(lines)
+{
+	var words = [];
+	lines.forEach(function (line)
+	{
+		var pattern = /[^\s.()]+|\./g;
+		var match;
+		while ((match = pattern.exec(line.text)) !== null)
+		{
+			words.push({text: match[0], line: line.line, column: line.column + match.index});
+		}
+	});
+	return words;
+}
+
+// Add a token for each word of a line that {classify} gives a type to.
+function highlightWords(line, add, classify)
+{
+	splitWords([line]).forEach(function (word, i)
+	{
+		var type = word.text !== '.' ? classify(word, i) : null;
+		if (type !== null)
+		{
+			add(type, word);
+		}
+	});
+}
+
+// Highlight a line of the ingredient list, and collect the name of the ingredient as {name, words}.
+function highlightIngredient(line, add, ingredientNames, dialect)
+{
+	var ingredient;
+	try
+	{
+		ingredient = decodeIngredient(line.text.replace(/\.$/, ''), dialect.ignoreCase);
+	}
+	catch (e)
+	{
+		return;
+	}
+	ingredientNames.push({name: ingredient.name, words: ingredient.name.split(' ')});
+
+	var words = splitWords([line]).filter(function (word)
+	{
+		return word.text !== '.';
+	});
+	var nameStart = words.length - ingredient.name.split(' ').length;
+	words.slice(0, nameStart).forEach(function (word, i)
+	{
+		if (i === 0 && ingredient.value !== undefined)
+		{
+			add('number', word);
+		}
+		else
+		{
+			add('measure', word);
+		}
+	});
+	var last = words[words.length - 1];
+	add('ingredient', {text: ingredient.name, name: ingredient.name, line: line.line, column: words[nameStart].column,
+		length: last.column + last.text.length - words[nameStart].column});
+}
+
+// Highlight the statements of a method paragraph. (The first word of the paragraph is "Method".)
+function highlightMethod(paragraph, add, ingredientNames, dialect)
+{
+	var words = splitWords(paragraph.lines).slice(1);
+	// Whether the ith word is {text}. (Keywords and ingredient names are case-insensitive in the lenient dialect.)
+	var is = function (i, text)
+	{
+		return words[i] !== undefined && (dialect.ignoreCase ? words[i].text.toLowerCase() === text.toLowerCase() : words[i].text === text);
+	};
+	// Add a token for {count} words from the ith one, joining the words on the same line. ({name} of an ingredient)
+	var addWords = function (type, i, count, name)
+	{
+		var first = words[i];
+		for (var j = i + 1; j < i + count; j++)
+		{
+			if (words[j].line !== first.line)
+			{
+				add(type, first);
+				first = words[j];
+			}
+		}
+		var last = words[i + count - 1];
+		add(type, {text: last.text, name: name, line: first.line, column: first.column, length: last.column + last.text.length - first.column});
+	};
+	var sentenceStart = true;
+	var serveWith = false;
+	for (var i = 0; i < words.length; i++)
+	{
+		var word = words[i];
+		if (word.text === '.')
+		{
+			sentenceStart = true;
+			serveWith = false;
+			continue;
+		}
+		if (sentenceStart)
+		{
+			add('verb', word);
+			sentenceStart = false;
+			serveWith = is(i, 'Serve') && is(i + 1, 'with');
+			continue;
+		}
+		if (serveWith && !is(i, 'with'))
+		{
+			var count = 1;
+			while (i + count < words.length && words[i + count].text !== '.')
+			{
+				count++;
+			}
+			addWords('title', i, count);
+			i += count - 1;
+			continue;
+		}
+		if (is(i, 'until') && i + 1 < words.length && words[i + 1].text !== '.')
+		{
+			add('verb', words[++i]);
+			continue;
+		}
+		if ((dialect.ignoreCase ? /^\d+(st|nd|rd|th)$/i : /^\d+(st|nd|rd|th)$/).test(word.text))
+		{
+			add('ordinal', word);
+			continue;
+		}
+		if (/^\d+$/.test(word.text))
+		{
+			add('number', word);
+			continue;
+		}
+		if ((is(i, 'mixing') && is(i + 1, 'bowl')) || (is(i, 'baking') && is(i + 1, 'dish')))
+		{
+			addWords('container', i, 2);
+			i++;
+			continue;
+		}
+
+		// Ingredient names may consist of several words, and the longest one declared wins.
+		var matched = null;
+		ingredientNames.forEach(function (ingredient)
+		{
+			if ((matched === null || ingredient.words.length > matched.words.length) && ingredient.words.every(function (nameWord, j)
+			{
+				return is(i + j, nameWord);
+			}))
+			{
+				matched = ingredient;
+			}
+		});
+		if (matched !== null)
+		{
+			addWords('ingredient', i, matched.words.length, matched.name);
+			i += matched.words.length - 1;
+		}
+	}
+}
+
+/* ----------------------------------------
+ * Format a recipe
+ * This function parses the text of a recipe and writes it back out in the canonical form:
+ * the title, the comments, and each section separated by a blank line, the section headings as "Ingredients." and "Method.",
+ * one ingredient and one statement per line, and the mixing bowls and baking dishes named with ordinals like "the 2nd mixing bowl".
+ * Formatting a formatted recipe gives the same text, and the formatted recipe cooks the same as the original.
+ * (A recipe in the lenient dialect is formatted into one that any dialect accepts.)
+ * [params]
+ * - text: A string containing the recipe.
+ * - options: (optional) The options of parse().
+ * [return]
+ * A string containing the formatted recipe.
+ * ----------------------------------------
+ */
+function format(text, options)
+{
+	var recipe = parse(text, options);
+	return [recipe].concat(recipe.auxiliaryRecipes).map(formatRecipe).join('\n\n') + '\n';
+}
+
+// Format a parsed recipe. (paragraphs are separated by blank lines)
+function formatRecipe(recipe)
+{
+	// Runs of whitespace in the title and the comments are collapsed, keeping the line breaks of the comments.
+	var paragraphs = [recipe.title.replace(/\s+/g, ' ') + '.'].concat(recipe.comments.map(function (comment)
+	{
+		return comment.replace(/[^\S\n]+/g, ' ');
+	}));
+
+	if (recipe.ingredients.length > 0)
+	{
+		paragraphs.push(['Ingredients.'].concat(recipe.ingredients.map(function (ingredient)
+		{
+			// (Values too large to be exact as numbers keep their digits.)
+			var value = Number.isSafeInteger(ingredient.value) ? ingredient.value : ingredient.digits;
+			return [value, ingredient.measureType, ingredient.measure, ingredient.name].filter(function (item)
+			{
+				return item !== undefined && item !== null;
+			}).join(' ');
+		})).join('\n'));
+	}
+	if (recipe.cookingTime !== null)
+	{
+		var unit = recipe.cookingTime.unit.replace(/s$/, '');
+		paragraphs.push('Cooking time: ' + formatQuantity(recipe.cookingTime.amount, unit) + '.');
+	}
+	if (recipe.ovenTemperature !== null)
+	{
+		var gasMark = recipe.ovenTemperature.gasMark;
+		paragraphs.push('Pre-heat oven to ' + recipe.ovenTemperature.degrees + ' degrees Celsius'
+			+ (gasMark !== null ? ' (gas mark ' + gasMark + ')' : '') + '.');
+	}
+	paragraphs.push(['Method.'].concat(recipe.method.map(function (stmt)
+	{
+		if (!Object.prototype.hasOwnProperty.call(statementFormatters, stmt.type))
+		{
+			throw new Error('Unknown statement type => "' + stmt.type + '"');
+		}
+		return statementFormatters[stmt.type](stmt) + '.';
+	})).join('\n'));
+	if (recipe.serves !== null)
+	{
+		paragraphs.push('Serves ' + recipe.serves + '.');
+	}
+	return paragraphs.join('\n\n');
+}
+
+// Formatters of method statements in the canonical form, keyed by statement type.
+// Each takes a statement and returns its sentence without the period.
+var statementFormatters = {
+	'Take' : function (stmt)
+	{
+		return 'Take ' + formatIngredientName(stmt.ingredient) + ' from refrigerator';
+	},
+	'Put' : function (stmt)
+	{
+		return 'Put ' + formatIngredientName(stmt.ingredient) + ' into ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Fold' : function (stmt)
+	{
+		return 'Fold ' + formatIngredientName(stmt.ingredient) + ' into ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Add' : function (stmt)
+	{
+		var ingredient = stmt.dry ? 'dry ingredients' : formatIngredientName(stmt.ingredient);
+		return 'Add ' + ingredient + ' to ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Remove' : function (stmt)
+	{
+		return 'Remove ' + formatIngredientName(stmt.ingredient) + ' from ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Combine' : function (stmt)
+	{
+		return 'Combine ' + formatIngredientName(stmt.ingredient) + ' into ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Divide' : function (stmt)
+	{
+		return 'Divide ' + formatIngredientName(stmt.ingredient) + ' into ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Liquefy' : function (stmt)
+	{
+		if (stmt.contents)
+		{
+			return 'Liquefy contents of ' + formatContainer(stmt.bowl, 'mixing bowl');
+		}
+		return 'Liquefy ' + formatIngredientName(stmt.ingredient);
+	},
+	'Stir' : function (stmt)
+	{
+		if (stmt.ingredient !== null)
+		{
+			return 'Stir ' + formatIngredientName(stmt.ingredient) + ' into ' + formatContainer(stmt.bowl, 'mixing bowl');
+		}
+		return 'Stir ' + formatContainer(stmt.bowl, 'mixing bowl') + ' for ' + formatQuantity(stmt.minutes, 'minute');
+	},
+	'Mix' : function (stmt)
+	{
+		return 'Mix ' + formatContainer(stmt.bowl, 'mixing bowl') + ' well';
+	},
+	'Clean' : function (stmt)
+	{
+		return 'Clean ' + formatContainer(stmt.bowl, 'mixing bowl');
+	},
+	'Pour' : function (stmt)
+	{
+		return 'Pour contents of ' + formatContainer(stmt.bowl, 'mixing bowl') + ' into ' + formatContainer(stmt.dish, 'baking dish');
+	},
+	'Set' : function ()
+	{
+		return 'Set aside';
+	},
+	'Serve' : function (stmt)
+	{
+		return 'Serve with ' + stmt.recipe;
+	},
+	'Refrigerate' : function (stmt)
+	{
+		return 'Refrigerate' + (stmt.hours !== null ? ' for ' + formatQuantity(stmt.hours, 'hour') : '');
+	},
+	'Verb' : function (stmt)
+	{
+		return stmt.verb + ' the ' + stmt.ingredient;
+	},
+	'Until' : function (stmt)
+	{
+		return stmt.verb + (stmt.ingredient !== null ? ' the ' + stmt.ingredient : '') + ' until ' + stmt.verbed;
+	}
+};
+
+// Format an ingredient name so that it reads back the same. (extractIngredientName() drops a leading "the")
+function formatIngredientName(name)
+{
+	return /^the /.test(name) ? 'the ' + name : name;
+}
+
+// Format a zero-based index of a mixing bowl or a baking dish. (e.g. 1, 'mixing bowl' => "the 2nd mixing bowl")
+function formatContainer(index, container)
+{
+	return 'the ' + (index > 0 ? ordinal(index + 1) + ' ' : '') + container;
+}
+
+// Format a number with a unit. (e.g. 1, 'hour' => "1 hour", 2, 'hour' => "2 hours")
+function formatQuantity(number, unit)
+{
+	return number + ' ' + unit + (number === 1 ? '' : 's');
+}
+
+/* ----------------------------------------
+ * Generate a recipe that serves a text
+ * This function writes a recipe whose only dish is the given text. Each character becomes an ingredient,
+ * runs of the same character become loops, and substrings that appear repeatedly are prepared by auxiliary recipes.
+ * Characters outside the Basic Multilingual Plane are served as surrogate pairs.
+ * The recipe is cooked before it's returned to make sure that it serves the text.
+ * [params]
+ * - text: The text to be served.
+ * - options: (optional) An object with the following properties.
+ *     title: The title of the recipe. (defaults to "Generated Souffle")
+ *     loops: Whether to use loops for runs of the same character. (defaults to true)
+ *     auxiliaryRecipes: Whether to use auxiliary recipes for repeated substrings. (defaults to true)
+ * [return]
+ * A string containing the recipe.
+ * ----------------------------------------
+ */
+function generate(text, options)
+{
+	options = options || {};
+	var title = options.title !== undefined ? String(options.title).trim() : 'Generated Souffle';
+	if (title === '' || /[.\r\n]/.test(title))
+	{
+		throw new Error('Invalid recipe title => "' + title + '" (A single line without periods is expected.)');
+	}
+	var useLoops = options.loops !== false;
+
+	// Give each character an ingredient name, in order of appearance.
+	var ingredientNames = Object.create(null);
+	for (var i = 0; i < text.length; i++)
+	{
+		var c = text.charAt(i);
+		if (!(c in ingredientNames))
+		{
+			ingredientNames[c] = generatedName(generatedIngredients, Object.keys(ingredientNames).length);
+		}
+	}
+
+	// Split the text into the parts prepared by auxiliary recipes and the rest.
+	var repeats = options.auxiliaryRecipes !== false ? findRepeatedSubstrings(text) : [];
+	var segments = [];
+	var position = 0;
+	while (position < text.length)
+	{
+		var repeat = -1;
+		for (var r = 0; r < repeats.length; r++)
+		{
+			if (repeats[r].positions.indexOf(position) !== -1)
+			{
+				repeat = r;
+				break;
+			}
+		}
+		if (repeat !== -1)
+		{
+			segments.push({recipe: repeat});
+			position += repeats[repeat].text.length;
+		}
+		else if (segments.length > 0 && segments[segments.length - 1].text !== undefined)
+		{
+			segments[segments.length - 1].text += text.charAt(position++);
+		}
+		else
+		{
+			segments.push({text: text.charAt(position++)});
+		}
+	}
+
+	var auxiliaryTitles = repeats.map(function (repeat, index)
+	{
+		return generatedName(generatedRecipeTitles, index);
+	});
+
+	// The first mixing bowl is a stack, so the text is put in reverse order.
+	var main = generatedRecipeWriter(ingredientNames, useLoops);
+	if (text === '')
+	{
+		main.statements.push('Clean the mixing bowl.');
+	}
+	for (var s = segments.length - 1; s >= 0; s--)
+	{
+		if (segments[s].text !== undefined)
+		{
+			main.put(segments[s].text);
+		}
+		else
+		{
+			main.statements.push('Serve with ' + auxiliaryTitles[segments[s].recipe] + '.');
+		}
+	}
+	main.statements.push('Liquefy contents of the mixing bowl.');
+	main.statements.push('Pour contents of the mixing bowl into the baking dish.');
+
+	var recipe = main.write(title) + '\n\nServes 1.\n';
+	repeats.forEach(function (repeat, index)
+	{
+		// The sous-chef starts with a copy of the caller's first mixing bowl, so it's emptied to pass back only the substring.
+		var auxiliary = generatedRecipeWriter(ingredientNames, useLoops);
+		auxiliary.statements.push('Clean the mixing bowl.');
+		auxiliary.put(repeat.text);
+		recipe += '\n' + auxiliary.write(auxiliaryTitles[index]) + '\n';
+	});
+
+	// Make sure the recipe serves the text.
+	var dishes = run(recipe, {input: []});
+	if (dishes.length !== 1 || dishes[0] !== text)
+	{
+		throw new Error('The generated recipe does not serve the text.');
+	}
+	return recipe;
+}
+
+// Create a writer of the ingredients and the method of a generated recipe.
+// put() adds the statements that put a text into the first mixing bowl in reverse order, and write() returns the recipe.
+function generatedRecipeWriter(ingredientNames, useLoops)
+{
+	var used = [];
+	var counters = [];
+	var statements = [];
+
+	var use = function (c)
+	{
+		if (used.indexOf(c) === -1)
+		{
+			used.push(c);
+		}
+		return ingredientNames[c];
+	};
+
+	return {
+		statements: statements,
+
+		put : function (text)
+		{
+			for (var i = text.length - 1; i >= 0; )
+			{
+				var c = text.charAt(i);
+				var run = 1;
+				while (i - run >= 0 && text.charAt(i - run) === c)
+				{
+					run++;
+				}
+				i -= run;
+				if (useLoops && run >= 4)
+				{
+					// A run of the same character is put by a loop counting down a counter ingredient.
+					var counter = generatedName(generatedCounters, counters.length);
+					var verb = generatedVerbs[counters.length % generatedVerbs.length];
+					counters.push({name: counter, value: run});
+					statements.push(verb + ' the ' + counter + '.');
+					statements.push('Put ' + use(c) + ' into the mixing bowl.');
+					statements.push(verb + ' the ' + counter + ' until ' + pastTense(verb) + '.');
+				}
+				else
+				{
+					for (var n = 0; n < run; n++)
+					{
+						statements.push('Put ' + use(c) + ' into the mixing bowl.');
+					}
+				}
+			}
+		},
+
+		write : function (title)
+		{
+			// The ingredients are listed in order of appearance in the text.
+			var ingredients = Object.keys(ingredientNames).filter(function (c)
+			{
+				return used.indexOf(c) !== -1;
+			}).map(function (c)
+			{
+				return c.charCodeAt(0) + ' g ' + ingredientNames[c];
+			}).concat(counters.map(function (counter)
+			{
+				return counter.value + ' ' + counter.name;
+			}));
+			return title + '.\n\n'
+				+ (ingredients.length > 0 ? 'Ingredients.\n' + ingredients.join('\n') + '\n\n' : '')
+				+ 'Method.\n' + statements.join('\n');
+		}
+	};
+}
+
+// Find substrings of a text that are worth preparing by auxiliary recipes.
+// Returns an array of {text, positions} that don't overlap, the most worthwhile first.
+function findRepeatedSubstrings(text)
+{
+	var maxRecipes = generatedRecipeTitles.length;
+	var maxLength = 64;
+	var repeats = [];
+	var covered = [];
+
+	// Texts too long for the quadratic search are generated without auxiliary recipes.
+	if (text.length > 2000)
+	{
+		return repeats;
+	}
+
+	var isCovered = function (start, length)
+	{
+		for (var i = start; i < start + length; i++)
+		{
+			if (covered[i])
+			{
+				return true;
+			}
+		}
+		return false;
+	};
+
+	while (repeats.length < maxRecipes)
+	{
+		var best = null;
+		var seen = Object.create(null);
+		for (var length = Math.min(maxLength, Math.floor(text.length / 2)); length >= 4; length--)
+		{
+			for (var start = 0; start + length <= text.length; start++)
+			{
+				var substring = text.substr(start, length);
+				if (substring in seen || isCovered(start, length))
+				{
+					continue;
+				}
+				seen[substring] = true;
+
+				var positions = [];
+				for (var p = text.indexOf(substring); p !== -1; p = text.indexOf(substring, p))
+				{
+					if (isCovered(p, length))
+					{
+						p++;
+					}
+					else
+					{
+						positions.push(p);
+						p += length;
+					}
+				}
+				// Each occurrence costs a "Serve with" statement, and the auxiliary recipe costs a few lines.
+				var saving = (positions.length - 1) * length - positions.length - 6;
+				if (positions.length > 1 && saving > 0 && (best === null || saving > best.saving))
+				{
+					best = {text: substring, positions: positions, saving: saving};
+				}
+			}
+		}
+		if (best === null)
 		{
-			// Look up an ingredient that is checked on each iteration.
-			var ingredientName = extractIngredientName(params, 1);
-			var ingredientToCheck = ingredients[ingredientName];
-			if (!ingredientToCheck || ingredientToCheck.value === undefined)
+			break;
+		}
+		best.positions.forEach(function (position)
+		{
+			for (var i = position; i < position + best.text.length; i++)
 			{
-				throw new Error('Undefined ingredient => "' + ingredientName + '"');
+				covered[i] = true;
 			}
+		});
+		repeats.push({text: best.text, positions: best.positions});
+	}
+	return repeats;
+}
+
+// Return the {index}th name made from a list of names, prefixed with adjectives once the list runs out.
+function generatedName(names, index)
+{
+	var name = names[index % names.length];
+	var round = Math.floor(index / names.length);
+	if (round === 0)
+	{
+		return name;
+	}
+	if (round <= generatedAdjectives.length)
+	{
+		return generatedAdjectives[round - 1] + ' ' + name;
+	}
+	return name + ' ' + round;
+}
 
+// Words for the names of generated ingredients and recipes
+var generatedIngredients = [
+	'flour', 'sugar', 'butter', 'salt', 'honey', 'cinnamon', 'vanilla', 'cocoa', 'almonds', 'raisins',
+	'oats', 'ginger', 'nutmeg', 'cream', 'yoghurt', 'lemon zest', 'orange peel', 'walnuts', 'hazelnuts', 'pecans',
+	'cardamom', 'cloves', 'saffron', 'treacle', 'molasses', 'semolina', 'rice', 'pistachios', 'coconut', 'dates',
+	'figs', 'apricots', 'cherries', 'blueberries', 'raspberries', 'strawberries', 'pepper', 'paprika', 'basil', 'thyme'
+];
+var generatedCounters = ['eggs', 'apples', 'bananas', 'pears', 'plums', 'peaches', 'carrots', 'potatoes'];
+var generatedAdjectives = ['fresh', 'dried', 'ground', 'toasted', 'roasted', 'chopped', 'grated', 'crushed', 'candied', 'melted'];
+var generatedVerbs = ['Whisk', 'Knead', 'Sift', 'Chop', 'Mash', 'Blend', 'Shake', 'Fry'];
+var generatedRecipeTitles = ['Caramel Sauce', 'Chocolate Glaze', 'Whipped Cream', 'Berry Compote', 'Vanilla Custard'];
 
-			// Seek to the end of the loop.
-			for (var i = currentLine; i < lines.length; i++)
-			{
-				if (lines[i].indexOf(' until ') != -1)
-					break;
-			}
-			if (i === lines.length)
+// Create a function that returns the next number for "Take" statements.
+// The input can be an array of numbers (or numeric strings), a function that returns the next value
+// (null or undefined when exhausted), or omitted to read whitespace-separated numbers from STDIN under Node.
+// With {bigint}, the numbers are returned as BigInts.
+// Its getPending() returns a copy of the numbers left in an input array, or null for the other inputs. (for snapshots)
+function createInputReader(input, bigint)
+{
+	var next;
+	var queue = null;
+	if (input instanceof Function)
+	{
+		next = input;
+	}
+	else if (input instanceof Array)
+	{
+		queue = input.slice();
+		next = function ()
+		{
+			return queue.shift();
+		};
+	}
+	else if (input === undefined || input === null)
+	{
+		var tokens;
+		next = function ()
+		{
+			if (tokens === undefined)
 			{
-				throw new Error('Endless loop detected.');
+				if (typeof process === 'undefined' || typeof require !== 'function')
+				{
+					throw new Error('No input source is available for the refrigerator.');
+				}
+				tokens = require('fs').readFileSync(0, 'utf8').split(/\s+/).filter(function (token)
+				{
+					return token !== '';
+				});
 			}
+			return tokens.shift();
+		};
+	}
+	else
+	{
+		throw new Error('Invalid input source for the refrigerator.');
+	}
 
-			// Look up an ingredient that is decremented on each iteration.
-			var endParams = lines[i].split(/\s+/);
-			ingredientName = extractIngredientName(endParams, 1, 'until');
-			var ingredientToDecrement = ingredients[ingredientName];
-
-			// Store the loop information into the stack.
-			var obj = {start: currentLine, end: i, ingredientToCheck: ingredientToCheck, ingredientToDecrement: ingredientToDecrement};
-			loopStack.push(obj);
-
-			console.log('\t+++++ Loop enter!');
+	var read = function ()
+	{
+		var value = next();
+		if (value === undefined || value === null)
+		{
+			throw new Error('The refrigerator is empty => No more input is available.');
+		}
+		// Numbers are taken as they are, and the others must be decimal digits. (not "1e3" or "0x1F")
+		var digits = String(value).trim();
+		if (typeof value === 'number' ? !Number.isInteger(value) : !/^[-+]?\d+$/.test(digits))
+		{
+			throw new Error('Invalid input => "' + value + '" is not an integer.');
+		}
+		if (bigint)
+		{
+			return BigInt(digits);
 		}
+		var number = typeof value === 'number' ? value : Number(digits);
+		if (!Number.isSafeInteger(number))
+		{
+			throw new Error('Invalid input => "' + value + '" is too large to be exact. (Use the BigInt mode for larger values.)');
+		}
+		return number;
+	};
+	read.getPending = function ()
+	{
+		return queue !== null ? queue.slice() : null;
 	};
+	return read;
 }
 
-
-function decodeIngredient(line)
+// Create a function that returns a pseudo-random number in [0, 1) for "Mix" statements.
+// With a seed the sequence is reproducible (mulberry32), otherwise Math.random is used.
+// The seeded function has getState(), which returns a seed that continues the sequence from where it is. (for snapshots)
+function createRandom(seed)
 {
-	var items = line.split(/\s+/);
-	var obj = {};
-	if (items.length < 1)
+	if (seed === undefined || seed === null)
+	{
+		return Math.random;
+	}
+	if (typeof seed !== 'number' || isNaN(seed))
 	{
-		throw new Error('Invalid ingredient: "' + line + '"');
+		throw new Error('Invalid random seed => "' + seed + '"');
 	}
-	else if (items.length === 1)
+	var state = seed >>> 0;
+	var random = function ()
+	{
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+	random.getState = function ()
+	{
+		return state;
+	};
+	return random;
+}
+
+// Create the counters for the {limits} option of init(), which throw an error when a limit is exceeded.
+// A head chef shares them with its sous-chefs. Omitted limits are unlimited except the depth of sous-chefs.
+function createLimits(options)
+{
+	var limits = {sousChefDepth: defaultSousChefDepth};
+	for (var name in options)
 	{
-		obj.key = items[0].trim();
+		limits[name] = options[name];
 	}
-	else 
+	for (name in limits)
 	{
-		obj.value = parseInt(items[0].trim());
-		var item = items[1].trim();
-		var start = 1;
-		if (item === 'heaped' || item === 'level')
+		if (!(name in limitDescriptions))
 		{
-			obj.type = 'dry';
-			start = 3;
+			throw new Error('Unknown limit => "' + name + '"');
 		}
-		else if (item === 'g' || item === 'kg' || item === 'pinch' || item === 'pinches')
+		if (typeof limits[name] !== 'number' || !(limits[name] >= 0))
 		{
-			obj.type = 'dry';
-			start = 2;
+			throw new Error('Invalid limit => "' + name + '" must be a non-negative number.');
 		}
-		else if (item === 'ml' || item === 'l' || item === 'dash' || item === 'dashes')
+	}
+
+	var statements = 0;
+	var startTime = null;
+	var sousChefDepth = 0;
+
+	var exceeds = function (name, value)
+	{
+		return limits[name] !== undefined && value > limits[name];
+	};
+	var limitError = function (name, recipeTitle, position, container)
+	{
+		var reason = limitDescriptions[name](limits[name], container);
+		var e = positionedError('Error occurred at line ' + position.line + ' in your recipe. : Limit exceeded => ' + reason, position);
+		e.reason = reason;
+		e.code = 'limit-exceeded';
+		e.limit = name;
+		e.recipe = recipeTitle;
+		return e;
+	};
+
+	return {
+		// Count a statement that's about to be executed.
+		countStatement : function (recipeTitle, stmt)
 		{
-			obj.type = 'liquid';
-			start = 2;
-		}
-		else if (item === 'cup' || item === 'cups' || item === 'teaspoon' || item === 'teaspoons' || item === 'tablespoon' || item === 'tablespoons')
+			statements++;
+			if (exceeds('statements', statements))
+			{
+				throw limitError('statements', recipeTitle, stmt);
+			}
+			if (limits.time !== undefined)
+			{
+				if (startTime === null)
+				{
+					startTime = Date.now();
+				}
+				if (exceeds('time', Date.now() - startTime))
+				{
+					throw limitError('time', recipeTitle, stmt);
+				}
+			}
+		},
+
+		// Check the size of a mixing bowl or a baking dish that has grown.
+		checkSize : function (container, index, items, recipeTitle, stmt)
+		{
+			if (exceeds('bowlSize', items.length))
+			{
+				throw limitError('bowlSize', recipeTitle, stmt, container + '[' + index + ']');
+			}
+		},
+
+		// Count a sous-chef invoked by "Serve with".
+		enterSousChef : function (recipeTitle, stmt)
 		{
-			start = 2;
+			if (exceeds('sousChefDepth', sousChefDepth + 1))
+			{
+				throw limitError('sousChefDepth', recipeTitle, stmt);
+			}
+			sousChefDepth++;
+		},
+
+		// Uncount a sous-chef that has returned.
+		leaveSousChef : function ()
+		{
+			sousChefDepth--;
 		}
-		obj.key = items.slice(start, items.length).join(' ');
-	}
-	return obj;
+	};
 }
 
-function extractNumber(str)
+// The default limit of the depth of sous-chefs, which keeps recursive auxiliary recipes from overflowing the JavaScript stack
+var defaultSousChefDepth = 1000;
+
+// The reason of the error thrown when each limit is exceeded
+var limitDescriptions = {
+	'statements' : function (max)
+	{
+		return 'More than ' + max + ' statements were executed.';
+	},
+	'time' : function (max)
+	{
+		return 'The recipe took more than ' + max + ' milliseconds.';
+	},
+	'bowlSize' : function (max, container)
+	{
+		return 'The ' + container + ' holds more than ' + max + ' ingredients.';
+	},
+	'sousChefDepth' : function (max)
+	{
+		return 'More than ' + max + ' sous-chefs were cooking at once.';
+	}
+};
+
+// Return the top item of a mixing bowl that must not be empty.
+function lookUpTopItem(mixingBowl, bowlIndex)
 {
-	var ord = str.slice(-2);
-	if (ord === 'st' || ord === 'nd' || ord === 'rd' || ord === 'th')
+	if (mixingBowl.length === 0)
 	{
-		return parseInt(str.slice(0, -2));
+		throw emptyMixingBowlError(bowlIndex);
 	}
-	return false;
+	return mixingBowl[mixingBowl.length - 1];
 }
 
-function extractIngredientName(params, startIndex, endStr)
+function emptyMixingBowlError(bowlIndex)
 {
-	var end;
-	if (endStr === undefined || (end = params.indexOf(endStr)) === -1)
+	return new Error('Specified mixing bowl[' + bowlIndex + '] is empty => There is no ingredient on top of it.');
+}
+
+// The initial value of a declared ingredient, from its {digits}: a BigInt in the BigInt mode, or else a number that must be exact.
+function initialValue(ingredient, bigint)
+{
+	if (bigint)
 	{
-		end = params.length;
+		return BigInt(ingredient.digits);
 	}
-	var start = startIndex;
-	if (params[start].trim() === 'the')
+	var value = parseInt(ingredient.digits);
+	if (!Number.isSafeInteger(value))
 	{
-		start++;
+		throw positionedError('Error occurred at line ' + ingredient.line + ' in your recipe. : Invalid ingredient => The initial value '
+			+ ingredient.digits + ' is too large to be exact. (Use the BigInt mode for larger values.)', ingredient);
 	}
-	return params.slice(start, end).join(' ');
+	return value;
 }
 
-function extractMixingBowlIndex(params)
+// Check the result of arithmetic. Numbers must stay safe integers to be exact. (BigInts are always exact.)
+function checkInteger(value)
 {
-	var trailer = params.indexOf('mixing');
-	if (trailer === -1 || trailer === 0)
+	if (typeof value === 'number' && !Number.isSafeInteger(value))
 	{
-		return false;
+		throw new Error('Integer overflow => ' + value + ' is too large to be exact. (Use the BigInt mode for larger values.)');
 	}
-	var index = extractNumber(params[trailer - 1]);
-	if (index === NaN)
+	return value;
+}
+
+// Divide an integer by the value of an ingredient, rounding towards zero.
+function divideInteger(dividend, divisor, ingredientName)
+{
+	if (typeof divisor === 'bigint' ? divisor === BigInt(0) : divisor === 0)
 	{
-		return false;
+		throw new Error('Division by zero => The value of "' + ingredientName + '" is zero.');
 	}
-	else if (index === false)
+	if (typeof dividend === 'bigint')
 	{
-		return 0;
+		return dividend / divisor;
 	}
-	return index;
+	// (Math.trunc() gives -0 for small negative quotients.)
+	return Math.trunc(dividend / divisor) || 0;
 }
 
-function extractBakingDishIndex(params)
+// Turn all the ingredients in a mixing bowl into liquids. (None is changed if any of them can't be.)
+function liquefyContents(mixingBowl)
 {
-	var trailer = params.indexOf('baking');
-	if (trailer === -1)
+	mixingBowl.forEach(function (item)
 	{
-		return false;
+		checkLiquefiable(item.value);
+	});
+	for (var i = 0; i < mixingBowl.length; i++)
+	{
+		mixingBowl[i].type = 'liquid';
 	}
-	var index = extractNumber(params[trailer - 1]);
-	if (index === NaN)
+}
+
+// Roll the top {num} ingredients of a mixing bowl. (An empty bowl stays empty.)
+function stirContents(mixingBowl, num)
+{
+	num = Number(num);
+	if (mixingBowl.length === 0)
 	{
-		return false;
+		return;
 	}
-	else if (index === false)
+	var topItem = mixingBowl.pop();
+	var index = num < mixingBowl.length ? mixingBowl.length - num : 0;
+	mixingBowl.splice(index, 0, topItem);
+}
+
+// Shuffle the ingredients of a mixing bowl with a random source. (Fisher-Yates)
+function mixContents(mixingBowl, random)
+{
+	for (var i = mixingBowl.length - 1; i > 0; i--)
 	{
-		return 0;
+		var j = Math.floor(random() * (i + 1));
+		var tmp = mixingBowl[i];
+		mixingBowl[i] = mixingBowl[j];
+		mixingBowl[j] = tmp;
 	}
-	return index;
 }
 
-// Program's entry point
-function run(input) 
+// Copy the ingredients of a mixing bowl on top of the baking dish at {index}, which is created if missing.
+function pourContents(mixingBowl, bakingDishes, index)
 {
-	// Split a text into lines
-	var lines = input.split(/\r\n|\r|\n/);
+	if (!bakingDishes[index])
+	{
+		bakingDishes[index] = [];
+	}
+	for (var i = 0; i < mixingBowl.length; i++)
+	{
+		bakingDishes[index].push(copyItem(mixingBowl[i]));
+	}
+}
 
-	for (var i = 0; i < lines.length; i++)
+// Serve the first {numberOfDiners} baking dishes, passing each served dish and its index to {receive}. (see serveDish())
+function serveDishes(bakingDishes, numberOfDiners, receive)
+{
+	if (bakingDishes.length < numberOfDiners)
 	{
-		var line = lines[i].trim();
-		if (line === '')
-			continue;
+		throw new Error('There\'s not enough dishes.');
+	}
+	for (var i = 0; i < numberOfDiners; i++)
+	{
+		// (A later dish can be poured into without the earlier ones.)
+		if (bakingDishes[i] === undefined)
+		{
+			throw new Error('Unfilled baking dish => Nothing was poured into the ' + ordinal(i + 1) + ' baking dish.');
+		}
+		receive(serveDish(bakingDishes[i]), i);
+	}
+}
 
-		// Split a line into statements
-		var stmts = line.split(/\s*\.\s*/);
-		if (stmts && stmts.length > 0)
+// Serve a baking dish, emptying it. The items are served from the top of the dish.
+// Returns {items, text}, where {text} renders the liquids as characters and the dry values as numbers.
+// A dry value is separated by a space from the items next to it, so that numbers served in a row can be told apart.
+function serveDish(dish)
+{
+	var items = [];
+	var text = '';
+	var item;
+	while (item = dish.pop())
+	{
+		if (items.length > 0 && (item.type === 'dry' || items[items.length - 1].type === 'dry'))
 		{
-			lines.splice(i, 1);
-			for (var j = 0, k = 0; j < stmts.length; j++)
-			{
-				var stmt = stmts[j].trim();
-				if (stmt === '')
-					continue;
-				lines.splice(i + k, 0, stmt);
-				k++;
-			}
-			i += (k - 1);
+			text += ' ';
 		}
+		text += item.type === 'dry' ? String(item.value) : liquidCharacter(item.value);
+		items.push(item);
+	}
+	return {items: items, text: text};
+}
+
+// Convert the value of a liquid into a character.
+// BigInt values are Unicode code points, and numbers are UTF-16 code units as String.fromCharCode() takes them.
+function liquidCharacter(value)
+{
+	checkLiquefiable(value);
+	if (typeof value === 'bigint')
+	{
+		return String.fromCodePoint(Number(value));
+	}
+	return String.fromCharCode(value);
+}
+
+// Check whether a value can be liquefied, i.e. whether it's a Unicode code point (BigInt) or a UTF-16 code unit (number).
+function isLiquefiable(value)
+{
+	if (typeof value === 'bigint')
+	{
+		return value >= 0 && value <= 0x10FFFF;
+	}
+	return value >= 0 && value <= 0xFFFF && value % 1 === 0;
+}
+
+function checkLiquefiable(value)
+{
+	if (!isLiquefiable(value))
+	{
+		throw new Error('Invalid liquid => ' + value + ' is not '
+			+ (typeof value === 'bigint' ? 'a Unicode code point.' : 'a UTF-16 code unit.'));
+	}
+}
+
+// The version of the format of snapshots (see snapshot() of init())
+var snapshotVersion = 1;
+
+// Encode a value for a snapshot. BigInts become strings of digits, since JSON has no BigInts.
+function encodeValue(value)
+{
+	return typeof value === 'bigint' ? String(value) : value;
+}
+
+// Encode an ingredient or an item of a mixing bowl or a baking dish for a snapshot.
+function encodeItem(item)
+{
+	return {value: encodeValue(item.value), type: item.type};
+}
+
+// Encode mixing bowls or baking dishes for a snapshot. (Bowls and dishes that were never filled become null.)
+function encodeContainers(containers)
+{
+	var encoded = [];
+	for (var i = 0; i < containers.length; i++)
+	{
+		encoded.push(containers[i] ? containers[i].map(encodeItem) : null);
+	}
+	return encoded;
+}
+
+// Decode an item encoded by encodeItem(). (The value of an ingredient without a value stays undefined.)
+function decodeItem(item, bigint)
+{
+	var value = item.value === undefined || item.value === null ? undefined : item.value;
+	return {value: bigint && value !== undefined ? BigInt(value) : value, type: item.type};
+}
+
+function decodeContainers(containers, bigint)
+{
+	var decoded = [];
+	for (var i = 0; i < containers.length; i++)
+	{
+		decoded[i] = containers[i] === null ? undefined : containers[i].map(function (item)
+		{
+			return decodeItem(item, bigint);
+		});
+	}
+	return decoded;
+}
+
+// Copy an item of a mixing bowl or a baking dish.
+function copyItem(item)
+{
+	return {value: item.value, type: item.type};
+}
+
+function copyItems(items)
+{
+	return items.map(copyItem);
+}
+
+// Copy mixing bowls or baking dishes. (Bowls and dishes that were never filled become empty.)
+function copyContainers(containers)
+{
+	var copied = [];
+	for (var i = 0; i < containers.length; i++)
+	{
+		copied.push(containers[i] ? copyItems(containers[i]) : []);
+	}
+	return copied;
+}
+
+/* ----------------------------------------
+ * Describe a trace event
+ * This function turns an event passed to the trace listener (see init()) into a line of text for logging.
+ * [params]
+ * - event: A trace event.
+ * [return]
+ * A string that describes the event.
+ * ----------------------------------------
+ */
+function describeTraceEvent(event)
+{
+	var describe = traceDescriptions[event.type];
+	var text = describe ? describe(event) : event.type;
+	return '[' + event.recipe + ':' + event.line + '] ' + text;
+}
+
+// Descriptions of trace events, keyed by their types.
+var traceDescriptions = {
+	'statement' : function (e)
+	{
+		return e.text;
+	},
+	'take' : function (e)
+	{
+		return '\tTook "' + e.ingredient + '"(=' + e.value + ') from the refrigerator.';
+	},
+	'bowl-push' : function (e)
+	{
+		return '\tPut ' + (e.ingredient !== null ? '"' + e.ingredient + '"' : 'the dry ingredients') + '(=' + e.item.value
+			+ ') into the mixing bowl[' + e.bowl + '].';
+	},
+	'bowl-pop' : function (e)
+	{
+		return '\tRemoved the top item(=' + e.item.value + ') from the mixing bowl[' + e.bowl + '] and copied the value to "' + e.ingredient + '".';
+	},
+	'bowl-update' : function (e)
+	{
+		return '\t' + e.operation + ' => the mixing bowl[' + e.bowl + '] = ' + describeItems(e.contents);
+	},
+	'pour' : function (e)
+	{
+		return '\tPoured the mixing bowl[' + e.bowl + '] into the baking dish[' + e.dish + '] = ' + describeItems(e.contents);
+	},
+	'loop-enter' : function (e)
+	{
+		return '\t+++++ Loop enter! (' + e.ingredient + ' = ' + e.value + ')';
+	},
+	'loop-continue' : function (e)
+	{
+		return '\t+++++ Loop continue... (' + e.value + ' remained)';
+	},
+	'loop-exit' : function (e)
+	{
+		return '\t+++++ Loop exit!';
+	},
+	'sous-chef-invoke' : function (e)
+	{
+		return '\t+++++ Invoke external recipe! (' + e.auxiliaryRecipe + ')';
+	},
+	'sous-chef-return' : function (e)
+	{
+		return '\t+++++ Exit from external recipe! (' + e.auxiliaryRecipe + ') => ' + describeItems(e.contents);
+	},
+	'dish-served' : function (e)
+	{
+		return '\t+++++ Served the baking dish[' + e.dish + '] : ' + JSON.stringify(e.text);
+	}
+};
+
+// Describe the items of a mixing bowl or a baking dish from the bottom to the top.
+function describeItems(items)
+{
+	return '[' + items.map(function (item)
+	{
+		return item.type === 'liquid' && isLiquefiable(item.value) ? JSON.stringify(liquidCharacter(item.value)) : String(item.value);
+	}).join(', ') + ']';
+}
+
+// Create an error that carries the position ({line, column}) in the recipe it refers to,
+// and the end of the statement or line ({endLine, endColumn}) if the position has it.
+function positionedError(message, position)
+{
+	var e = new Error(message);
+	e.line = position.line;
+	e.column = position.column;
+	if (position.endLine !== undefined)
+	{
+		e.endLine = position.endLine;
+		e.endColumn = position.endColumn;
+	}
+	return e;
+}
+
+// Create a syntax error. {code} identifies the kind of the error for lint(). (defaults to 'syntax-error')
+function syntaxError(message, position, code)
+{
+	var e = positionedError('Error occurred at line ' + position.line + ' in your recipe. : Syntax error => ' + message, position);
+	e.reason = message;
+	e.code = code || 'syntax-error';
+	return e;
+}
+
+function parseNumber(str)
+{
+	return /^\d+$/.test(str) ? parseInt(str) : false;
+}
+
+// Convert an ordinal (e.g. "2nd") into a number.
+function extractNumber(str)
+{
+	var match = /^([1-9]\d*)(st|nd|rd|th)$/.exec(str);
+	return match ? parseInt(match[1]) : false;
+}
+
+function extractIngredientName(words, start, end)
+{
+	if (end === undefined)
+	{
+		end = words.length;
+	}
+	if (words[start] === 'the' && end - start > 1)
+	{
+		start++;
 	}
+	return words.slice(start, end).join(' ');
+}
+
+// Decode "[the] [nth] mixing bowl" or "[the] [pth] baking dish" into a zero-based index.
+// Returns false if the words don't name the container.
+function extractContainerIndex(words, container)
+{
+	var nouns = container.split(' ');
+	var i = 0;
+	if (words[i] === 'the')
+	{
+		i++;
+	}
+	var index = 0;
+	var number = extractNumber(words[i]);
+	if (number !== false)
+	{
+		index = number - 1;
+		i++;
+	}
+	if (words.length !== i + 2 || words[i] !== nouns[0] || words[i + 1] !== nouns[1])
+	{
+		return false;
+	}
+	return index;
+}
+
+// Program's entry point
+// The optional {options} is passed to parse() and init(). (e.g. {input: [1, 2, 3]} feeds "Take" statements, {seed: 1} fixes "Mix")
+// With {structured: true} in the options, each dish is returned as {items, text} instead of its text. (see serveDish())
+function run(input, options)
+{
+	// Parse the recipe.
+	var recipe = parse(input, options);
 	// Create the head chef.
-	var chef = init(lines, 0);
+	var chef = init(recipe, options);
 	chef.run();
 	// Return the finished dishes.
-	return chef.getDiners();
+	return options && options.structured ? chef.getServedDishes() : chef.getDiners();
 }
+
+return {
+	run: run,
+	parse: parse,
+	compile: compile,
+	init: init,
+	debug: debug,
+	stream: stream,
+	lint: lint,
+	highlight: highlight,
+	format: format,
+	generate: generate,
+	describeTraceEvent: describeTraceEvent
+};
+}));
@@ -0,0 +1,17 @@
+// ES module entry point for Chef.js
+// The interpreter itself lives in chef.js. This file re-exports its public API as named exports.
+import Chef from './chef.js';
+
+export var run = Chef.run;
+export var parse = Chef.parse;
+export var compile = Chef.compile;
+export var init = Chef.init;
+export var debug = Chef.debug;
+export var stream = Chef.stream;
+export var lint = Chef.lint;
+export var highlight = Chef.highlight;
+export var format = Chef.format;
+export var generate = Chef.generate;
+export var describeTraceEvent = Chef.describeTraceEvent;
+
+export default Chef;
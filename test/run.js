@@ -0,0 +1,364 @@
+"use strict";
+
+/* ----------------------------------------
+ * Conformance test runner of Chef.js
+ *
+ * Usage: node test/run.js [recipe file...]
+ * This cooks each recipe in test/recipes (or the recipe files given) with the cases in the JSON file of the same name,
+ * and checks the served dishes or the error against the expected ones.
+ * Each case is cooked by run(), by the function compile() returns, by stream(), and by chefs that take over from
+ * a snapshot of the previous chef after every statement, which must all agree.
+ * The cases that are resumed from snapshots are cooked by the chefs that take over, and by "chef run" with --save and --resume.
+ *
+ * [fixture]
+ * {"cases": [case, ...], "lint": [diagnostic, ...], "highlight": [highlighting, ...]} where {lint} (optional) is the diagnostics
+ * lint() must report for the recipe as {code, line}, in order, {highlight} (optional) is the tokens highlight() must return
+ * as {name, options (optional), tokens: [[type, text, name (ingredient tokens only)], ...]}, with the text the token covers,
+ * and each case is an object with the following properties.
+ *   name: A description of the case.
+ *   input: (optional) An array of numbers for "Take". (The refrigerator is empty if omitted.)
+ *   options: (optional) The other options of init() and parse(). Compiled recipes don't take {limits}, and the limits start afresh
+ *            when a chef is restored from a snapshot, so cases with them are only cooked by run() and stream().
+ *   dishes: The dishes the recipe serves (as {items, text} with {structured: true} in the options), or
+ *   error: The error the recipe fails with: {message (a part of the message), line (null if none), code (optional), callStack (optional)}
+ *          where {callStack} is the lines of the "Serve with" statements that led to an error of a sous-chef.
+ *   time: (optional) The number of milliseconds the case must be cooked within, to catch cooking that slows down.
+ *         The snapshot engine restores every chef from a snapshot after each statement, so it doesn't cook such cases.
+ *   resume: (optional) The options of init() besides {snapshot} to restore the chefs with, e.g. {"bigint": true}.
+ *           "chef run" saves a snapshot after the first statement with the case's input, and resumes from it with
+ *           --bigint for {bigint: true}. (A case with {bigint: false} is only cooked by the chefs that take over.)
+ *
+ * The results are written to STDOUT in the TAP format, and the exit status is 1 if any case failed.
+ * ----------------------------------------
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var Chef = require('../chef.js');
+
+var recipesDirectory = path.join(__dirname, 'recipes');
+
+// Ways to cook a recipe. Each returns a promise of the dishes. ({resume} is the options to restore chefs from a snapshot with)
+var engines = {
+	'run' : function (text, options)
+	{
+		return Chef.run(text, options);
+	},
+	'compile' : function (text, options)
+	{
+		return Chef.compile(text, options)(options);
+	},
+	'stream' : function (text, options)
+	{
+		var dishes = [];
+		var iterator = Chef.stream(text, options);
+		var serve = function ()
+		{
+			return iterator.next().then(function (result)
+			{
+				if (result.done)
+				{
+					return dishes;
+				}
+				dishes.push(result.value);
+				return serve();
+			});
+		};
+		return serve();
+	},
+	'snapshot' : function (text, options, resume)
+	{
+		var recipe = Chef.parse(text, options);
+		var chef = Chef.init(recipe, options);
+		while (chef.step())
+		{
+			// The input and the random source are restored from the snapshot as well.
+			var restored = {snapshot: JSON.parse(JSON.stringify(chef.snapshot()))};
+			for (var key in resume)
+			{
+				restored[key] = resume[key];
+			}
+			chef = Chef.init(recipe, restored);
+		}
+		return options.structured ? chef.getServedDishes() : chef.getDiners();
+	},
+	'cli' : function (text, options, resume)
+	{
+		var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chef-'));
+		var recipeFile = path.join(directory, 'recipe.txt');
+		var snapshotFile = path.join(directory, 'snapshot.json');
+		// Run bin/chef, and return the result it writes with --json.
+		var chef = function (args, input)
+		{
+			args = ['run', '--json'].concat(options.dialect !== undefined ? ['--dialect', options.dialect] : [], args, [recipeFile]);
+			var child = childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'chef')].concat(args), {input: input});
+			return JSON.parse(child.stdout.toString());
+		};
+		try
+		{
+			fs.writeFileSync(recipeFile, text);
+			var result = chef(['--step-limit', '1', '--save', snapshotFile].concat(options.bigint ? ['--bigint'] : []), options.input.join(' '));
+			if (fs.existsSync(snapshotFile))
+			{
+				result = chef(['--resume', snapshotFile].concat(resume.bigint ? ['--bigint'] : []), '');
+			}
+		}
+		finally
+		{
+			fs.rmSync(directory, {recursive: true, force: true});
+		}
+		if (result.error !== null)
+		{
+			var e = new Error(result.error.message);
+			['line', 'code', 'callStack'].forEach(function (key)
+			{
+				if (result.error[key] !== null)
+				{
+					e[key] = result.error[key];
+				}
+			});
+			throw e;
+		}
+		return result.dishes.map(function (dish)
+		{
+			return options.structured ? dish : dish.text;
+		});
+	}
+};
+
+// Find the recipe files in a directory and its subdirectories.
+function findRecipes(directory)
+{
+	var files = [];
+	fs.readdirSync(directory).sort().forEach(function (name)
+	{
+		var file = path.join(directory, name);
+		if (fs.statSync(file).isDirectory())
+		{
+			files = files.concat(findRecipes(file));
+		}
+		else if (/\.txt$/.test(name))
+		{
+			files.push(file);
+		}
+	});
+	return files;
+}
+
+// Read the recipe and the cases of a recipe file, and list the tests: one for each case and engine.
+function loadTests(file)
+{
+	var text = fs.readFileSync(file, 'utf8');
+	var fixture = JSON.parse(fs.readFileSync(file.replace(/\.txt$/, '.json'), 'utf8'));
+	var tests = [];
+	fixture.cases.forEach(function (testCase)
+	{
+		Object.keys(engines).forEach(function (engine)
+		{
+			// Only the cases resumed from snapshots are cooked by "chef run", and only by it and the chefs that take over.
+			var resumed = testCase.resume !== undefined;
+			if (resumed ? engine !== 'snapshot' && (engine !== 'cli' || testCase.resume.bigint === false) : engine === 'cli')
+			{
+				return;
+			}
+			if ((engine === 'compile' || engine === 'snapshot') && testCase.options && testCase.options.limits)
+			{
+				return;
+			}
+			if (engine === 'snapshot' && testCase.time !== undefined)
+			{
+				return;
+			}
+			tests.push({
+				name: path.relative(process.cwd(), file) + ': ' + testCase.name + ' (' + engine + ')',
+				text: text,
+				testCase: testCase,
+				engine: engine
+			});
+		});
+	});
+	if (fixture.lint !== undefined)
+	{
+		tests.push({
+			name: path.relative(process.cwd(), file) + ': the diagnostics of lint()',
+			text: text,
+			lint: fixture.lint
+		});
+	}
+	(fixture.highlight || []).forEach(function (highlighting)
+	{
+		tests.push({
+			name: path.relative(process.cwd(), file) + ': ' + highlighting.name + ' (highlight)',
+			text: text,
+			highlighting: highlighting
+		});
+	});
+	return tests;
+}
+
+// Cook a recipe for a test, and return a promise of the problems found. (empty if the test passed)
+function runTest(test)
+{
+	if (test.lint !== undefined || test.highlighting !== undefined)
+	{
+		return Promise.resolve().then(function ()
+		{
+			return test.lint !== undefined ? checkLint(test.lint, Chef.lint(test.text))
+				: checkHighlight(test.highlighting, test.text, Chef.highlight(test.text, test.highlighting.options));
+		}).catch(function (e)
+		{
+			return ['unexpected error: ' + e.message];
+		});
+	}
+	var testCase = test.testCase;
+	var options = {};
+	for (var key in testCase.options)
+	{
+		options[key] = testCase.options[key];
+	}
+	options.input = (testCase.input || []).slice();
+	var start = Date.now();
+
+	return Promise.resolve().then(function ()
+	{
+		return engines[test.engine](test.text, options, testCase.resume || {});
+	}).then(function (dishes)
+	{
+		return checkTime(testCase, start).concat(checkDishes(testCase, dishes));
+	}, function (e)
+	{
+		return checkTime(testCase, start).concat(checkError(testCase, e));
+	});
+}
+
+// Check the time a case took to cook.
+function checkTime(testCase, start)
+{
+	var elapsed = Date.now() - start;
+	if (testCase.time !== undefined && elapsed > testCase.time)
+	{
+		return ['expected to finish within ' + testCase.time + ' ms, but took ' + elapsed + ' ms'];
+	}
+	return [];
+}
+
+// Check the dishes a recipe served against the case.
+function checkDishes(testCase, dishes)
+{
+	if (testCase.error)
+		{
+		return ['expected an error, but served ' + JSON.stringify(dishes)];
+	}
+	if (JSON.stringify(dishes) !== JSON.stringify(testCase.dishes))
+	{
+		return ['expected dishes ' + JSON.stringify(testCase.dishes) + ', but served ' + JSON.stringify(dishes)];
+	}
+	return [];
+}
+
+// Check the error a recipe failed with against the case.
+function checkError(testCase, e)
+{
+	var expected = testCase.error;
+	if (!expected)
+	{
+		return ['unexpected error: ' + e.message];
+	}
+	var problems = [];
+	if (e.message.indexOf(expected.message) === -1)
+	{
+		problems.push('expected an error including ' + JSON.stringify(expected.message) + ', but got ' + JSON.stringify(e.message));
+	}
+	if ((e.line === undefined ? null : e.line) !== expected.line)
+	{
+		problems.push('expected the error at line ' + expected.line + ', but got line ' + e.line);
+	}
+	if (expected.code !== undefined && e.code !== expected.code)
+	{
+		problems.push('expected the error code ' + JSON.stringify(expected.code) + ', but got ' + JSON.stringify(e.code));
+	}
+	var callStack = (e.callStack || []).map(function (call)
+	{
+		return call.line;
+	});
+	if (expected.callStack !== undefined && JSON.stringify(callStack) !== JSON.stringify(expected.callStack))
+	{
+		problems.push('expected the call stack ' + JSON.stringify(expected.callStack) + ', but got ' + JSON.stringify(callStack));
+	}
+	return problems;
+}
+
+// Check the diagnostics of lint() against the expected ones.
+function checkLint(expected, diagnostics)
+{
+	var actual = diagnostics.map(function (diagnostic)
+	{
+		return {code: diagnostic.code, line: diagnostic.line};
+	});
+	if (JSON.stringify(actual) !== JSON.stringify(expected))
+	{
+		return ['expected the diagnostics ' + JSON.stringify(expected) + ', but got ' + JSON.stringify(actual)];
+	}
+	return [];
+}
+
+// Check the tokens of highlight() against the expected ones.
+function checkHighlight(highlighting, text, tokens)
+{
+	var lines = text.split(/\r\n|\r|\n/);
+	var actual = tokens.map(function (token)
+	{
+		var covered = [token.type, lines[token.line - 1].substr(token.column - 1, token.length)];
+		return token.type === 'ingredient' ? covered.concat([token.name]) : covered;
+	});
+	if (JSON.stringify(actual) !== JSON.stringify(highlighting.tokens))
+	{
+		return ['expected the tokens ' + JSON.stringify(highlighting.tokens) + ', but got ' + JSON.stringify(actual)];
+	}
+	return [];
+}
+
+function main(args)
+{
+	var files = args.length > 0 ? args.map(function (file) { return path.resolve(file); }) : findRecipes(recipesDirectory);
+	var tests = [];
+	files.forEach(function (file)
+	{
+		tests = tests.concat(loadTests(file));
+	});
+
+	console.log('TAP version 13');
+	console.log('1..' + tests.length);
+	var failures = 0;
+	var next = function (index)
+	{
+		if (index >= tests.length)
+		{
+			console.log('# ' + (tests.length - failures) + ' passed, ' + failures + ' failed');
+			process.exitCode = failures > 0 ? 1 : 0;
+			return;
+		}
+		runTest(tests[index]).then(function (problems)
+		{
+			if (problems.length > 0)
+			{
+				failures++;
+				console.log('not ok ' + (index + 1) + ' - ' + tests[index].name);
+				problems.forEach(function (problem)
+				{
+					console.log('  # ' + problem);
+				});
+			}
+			else
+			{
+				console.log('ok ' + (index + 1) + ' - ' + tests[index].name);
+			}
+			next(index + 1);
+		});
+	};
+	next(0);
+}
+
+main(process.argv.slice(2));